@@ -1,20 +1,21 @@
 // ============================================
 // Constants
 // ============================================
-const CORS_PROXY = 'https://corsproxy.io/?';
-const YAHOO_API_BASE = 'https://query1.finance.yahoo.com/v8/finance/chart/';
-const BATCH_SIZE = 5;
-const BATCH_DELAY_MS = 1500;
+const TABLE_ROW_HEIGHT = 38;          // プレビュー行の高さの初期値（描画後に実測で置き換え）
+const TABLE_OVERSCAN_ROWS = 10;       // 表示範囲の上下に余分に描画する行数
 
 // ============================================
 // State
 // ============================================
-let parsedData = null;      // { metadata: string[], header: string[], rows: string[][] }
-let closingPrices = {};     // { stockCode: { price: number|null, dividend: number|null, date: string } }
-let errorMessages = [];
+let exportSettings = null;  // { format, missing, columns: { id, enabled }[] } 現在のエクスポート設定
 let isFetching = false;
+let fetchScheduler = null;  // 実行中の取得スケジューラー（一時停止・中止用）
 let sortColIdx = -1;        // 現在のソート列インデックス (-1 = ソートなし)
 let sortAsc = true;         // true = 昇順, false = 降順
+let tableView = { rows: [], metrics: [], hasPrices: false, rowHeight: TABLE_ROW_HEIGHT };  // 絞り込み・ソート済みのプレビュー行
+let tableScrollFrame = null;  // スクロール時の再描画の requestAnimationFrame ID
+let fixtureFileName = null;   // 再生中のフィクスチャバンドルのファイル名
+let tableFilters = emptyTableFilters();  // プレビューの絞り込み条件
 
 // ============================================
 // DOM References
@@ -24,408 +25,265 @@ const $ = (id) => document.getElementById(id);
 const dom = {
     dropZone: $('dropZone'),
     fileInput: $('fileInput'),
+    uploadSection: $('uploadSection'),
     fileInfo: $('fileInfo'),
-    fileName: $('fileName'),
-    fileSize: $('fileSize'),
-    fileRemove: $('fileRemove'),
+    fileList: $('fileList'),
+    fileRemoveAll: $('fileRemoveAll'),
     settingsSection: $('settingsSection'),
     dateColumn: $('dateColumn'),
+    layoutLabel: $('layoutLabel'),
+    editMappingBtn: $('editMappingBtn'),
+    mappingModal: $('mappingModal'),
+    mappingHeaderLine: $('mappingHeaderLine'),
+    mappingBody: $('mappingBody'),
+    mappingRemember: $('mappingRemember'),
+    mappingCancel: $('mappingCancel'),
+    mappingApply: $('mappingApply'),
+    sheetModal: $('sheetModal'),
+    sheetFileName: $('sheetFileName'),
+    sheetList: $('sheetList'),
+    sheetSelectAll: $('sheetSelectAll'),
+    sheetCancel: $('sheetCancel'),
+    sheetApply: $('sheetApply'),
+    chartModal: $('chartModal'),
+    chartTitle: $('chartTitle'),
+    chartNote: $('chartNote'),
+    chartCanvas: $('chartCanvas'),
+    chartClose: $('chartClose'),
+    providerSelect: $('providerSelect'),
+    intradayVwap: $('intradayVwap'),
+    localPriceItem: $('localPriceItem'),
+    localPriceInput: $('localPriceInput'),
+    localPriceStatus: $('localPriceStatus'),
+    proxyUrlInput: $('proxyUrlInput'),
+    proxyUrlSave: $('proxyUrlSave'),
+    cacheEnabled: $('cacheEnabled'),
+    cacheStats: $('cacheStats'),
+    cacheTickerInput: $('cacheTickerInput'),
+    cacheInvalidateBtn: $('cacheInvalidateBtn'),
+    fixtureMode: $('fixtureMode'),
+    fixtureInputLabel: $('fixtureInputLabel'),
+    fixtureInput: $('fixtureInput'),
+    fixtureSaveBtn: $('fixtureSaveBtn'),
+    fixtureStatus: $('fixtureStatus'),
+    customMetricType: $('customMetricType'),
+    customMetricDays: $('customMetricDays'),
+    customMetricAdd: $('customMetricAdd'),
+    customMetricList: $('customMetricList'),
+    holidayCount: $('holidayCount'),
+    holidaysBtn: $('holidaysBtn'),
+    holidaysModal: $('holidaysModal'),
+    holidaysText: $('holidaysText'),
+    holidaysImport: $('holidaysImport'),
+    holidaysReset: $('holidaysReset'),
+    holidaysCancel: $('holidaysCancel'),
+    holidaysSave: $('holidaysSave'),
+    tickerOverridesBtn: $('tickerOverridesBtn'),
+    tickerOverrideCount: $('tickerOverrideCount'),
+    tickerModal: $('tickerModal'),
+    tickerOverridesText: $('tickerOverridesText'),
+    tickerCancel: $('tickerCancel'),
+    tickerSave: $('tickerSave'),
+    cacheClearBtn: $('cacheClearBtn'),
     stockCount: $('stockCount'),
     uniqueStockCount: $('uniqueStockCount'),
     actionSection: $('actionSection'),
     fetchBtn: $('fetchBtn'),
+    pauseBtn: $('pauseBtn'),
+    cancelBtn: $('cancelBtn'),
     downloadBtn: $('downloadBtn'),
+    downloadXlsxBtn: $('downloadXlsxBtn'),
+    exportSection: $('exportSection'),
+    exportPreset: $('exportPreset'),
+    exportPresetSave: $('exportPresetSave'),
+    exportPresetDelete: $('exportPresetDelete'),
+    exportFormat: $('exportFormat'),
+    exportMissing: $('exportMissing'),
+    exportFiltered: $('exportFiltered'),
+    exportColumns: $('exportColumns'),
     progressContainer: $('progressContainer'),
     progressLabel: $('progressLabel'),
     progressValue: $('progressValue'),
+    progressEta: $('progressEta'),
     progressFill: $('progressFill'),
     progressDetail: $('progressDetail'),
     resultsSection: $('resultsSection'),
+    statsPanel: $('statsPanel'),
     successCount: $('successCount'),
     naCount: $('naCount'),
     errorCount: $('errorCount'),
     tableSection: $('tableSection'),
     rowCount: $('rowCount'),
+    filterSearch: $('filterSearch'),
+    filterMarket: $('filterMarket'),
+    filterRemarks: $('filterRemarks'),
+    filterYieldMin: $('filterYieldMin'),
+    filterYieldMax: $('filterYieldMax'),
+    filterChangeMetric: $('filterChangeMetric'),
+    filterChangeMin: $('filterChangeMin'),
+    filterChangeMax: $('filterChangeMax'),
+    filterStatus: $('filterStatus'),
+    filterClear: $('filterClear'),
+    tableWrapper: $('tableWrapper'),
     tableHead: $('tableHead'),
     tableBody: $('tableBody'),
     errorSection: $('errorSection'),
     errorLog: $('errorLog'),
+    retryFailedBtn: $('retryFailedBtn'),
 };
 
 // ============================================
-// CSV Parser
+// Ticker Overrides
 // ============================================
 
-/**
- * マルチライン引用符フィールドに対応したCSVパーサー
- */
-function parseCSVRows(text) {
-    const rows = [];
-    let currentRow = [];
-    let currentField = '';
-    let inQuote = false;
-
-    for (let i = 0; i < text.length; i++) {
-        const ch = text[i];
-
-        if (inQuote) {
-            if (ch === '"') {
-                if (i + 1 < text.length && text[i + 1] === '"') {
-                    currentField += '"';
-                    i++;
-                } else {
-                    inQuote = false;
-                }
-            } else {
-                currentField += ch;
-            }
-        } else {
-            if (ch === '"') {
-                inQuote = true;
-            } else if (ch === ',') {
-                currentRow.push(currentField);
-                currentField = '';
-            } else if (ch === '\r') {
-                // skip
-            } else if (ch === '\n') {
-                currentRow.push(currentField);
-                currentField = '';
-                rows.push(currentRow);
-                currentRow = [];
-            } else {
-                currentField += ch;
-            }
-        }
-    }
-
-    // 最後の行
-    if (currentField !== '' || currentRow.length > 0) {
-        currentRow.push(currentField);
-        rows.push(currentRow);
-    }
-
-    return rows.filter(row => row.some(f => f.trim() !== ''));
+function renderTickerOverrideCount() {
+    const count = Object.keys(tickerOverrides).length;
+    dom.tickerOverrideCount.textContent = count > 0 ? `${count} 件` : '未登録';
 }
 
-/**
- * CSVテキスト全体を解析
- * ヘッダー3行（メタデータ）+ マルチラインヘッダー + データ行
- */
-function parseCSV(text) {
-    // 全行を取得
-    const allLines = text.split(/\r?\n/);
-
-    // メタデータ行を特定（ヘッダー行は「基準日」で始まる）
-    let headerStartIdx = -1;
-    for (let i = 0; i < Math.min(10, allLines.length); i++) {
-        if (allLines[i].startsWith('基準日')) {
-            headerStartIdx = i;
-            break;
-        }
-    }
-
-    if (headerStartIdx === -1) {
-        throw new Error('CSVのヘッダー行が見つかりません。「基準日」で始まる行が必要です。');
-    }
-
-    const metadata = allLines.slice(0, headerStartIdx);
-
-    // ヘッダー行以降をマルチラインCSVとして解析
-    const remaining = allLines.slice(headerStartIdx).join('\n');
-    const allRows = parseCSVRows(remaining);
+function openTickerOverridesDialog() {
+    dom.tickerOverridesText.value = formatTickerOverrides(tickerOverrides);
+    showSection(dom.tickerModal);
+}
 
-    if (allRows.length < 2) {
-        throw new Error('データ行が見つかりません。');
+function applyTickerOverridesDialog() {
+    const { overrides, errors } = parseTickerOverrides(dom.tickerOverridesText.value);
+    if (errors.length > 0) {
+        alert(`解釈できない行があります（${errors.join(', ')} 行目）。「銘柄コード シンボル」の形式で入力してください。`);
+        return;
     }
 
-    // ヘッダー行のフィールド名を整理（改行を除去）
-    const rawHeader = allRows[0];
-    const header = rawHeader.map(h => h.replace(/\n/g, ''));
-
-    // データ行
-    const rows = allRows.slice(1);
-
-    return { metadata, header, rows };
+    saveTickerOverrides(overrides);
+    renderTickerOverrideCount();
+    showSection(dom.tickerModal, false);
+    renderTable();
 }
 
 // ============================================
-// Stock Code Utilities
+// Price Data Providers
 // ============================================
 
 /**
- * 銘柄コード列から Yahoo Finance 用ティッカーを生成
- * 例: "82270 " → "8227.T"
- */
-function toTicker(rawCode) {
-    const code = rawCode.trim();
-    if (code.length < 4) return null;
-
-    // 先頭4文字を取得
-    const ticker = code.substring(0, 4);
-
-    // 英数字のみで構成されているか確認
-    if (!/^[A-Za-z0-9]+$/.test(ticker)) return null;
-
-    return ticker + '.T';
-}
-
-/**
- * データからユニークな銘柄コード一覧を取得
+ * 取得設定で選択中のプロバイダー
  */
-function getUniqueStocks(rows, codeColIdx, dateColIdx) {
-    const seen = new Map(); // stockCode → { ticker, date, rawCode }
-
-    for (const row of rows) {
-        if (row.length <= codeColIdx) continue;
-        const rawCode = row[codeColIdx];
-        const code = rawCode.trim();
-
-        if (!code || seen.has(code)) continue;
-
-        const ticker = toTicker(rawCode);
-        const date = row[dateColIdx] || '';
-
-        seen.set(code, { ticker, date, rawCode: code });
-    }
-
-    return Array.from(seen.values());
+function getSelectedProvider() {
+    return PRICE_PROVIDERS[dom.providerSelect.value] || yahooProvider;
 }
 
 // ============================================
-// Yahoo Finance API
+// Fixture Record / Replay
 // ============================================
 
 /**
- * タイムスタンプ配列から、指定タイムスタンプに最も近い（以前の）終値とインデックスを探す
+ * 記録・再生モードを切り替える（記録は切り替えた時点から、再生はバンドルを読み込んでから）
  */
-function findClosestPriceWithIndex(timestamps, closes, targetTs) {
-    let bestIdx = -1;
-    let bestDiff = Infinity;
-
-    // 対象日以前で最も近いデータを優先
-    for (let i = 0; i < timestamps.length; i++) {
-        if (closes[i] === null) continue;
-        const diff = targetTs - timestamps[i];
-        if (diff >= 0 && diff < bestDiff) {
-            bestDiff = diff;
-            bestIdx = i;
-        }
-    }
-
-    // 対象日以前にない場合、以降の最も近いデータ
-    if (bestIdx === -1) {
-        for (let i = 0; i < timestamps.length; i++) {
-            if (closes[i] === null) continue;
-            const diff = Math.abs(targetTs - timestamps[i]);
-            if (diff < bestDiff) {
-                bestDiff = diff;
-                bestIdx = i;
-            }
-        }
+function setFixtureMode(mode) {
+    if (mode === 'record') {
+        startFixtureRecording();
+    } else {
+        stopFixtureSession();
     }
-
-    return { price: bestIdx >= 0 ? closes[bestIdx] : null, index: bestIdx };
+    fixtureFileName = null;
+    renderFixtureStatus();
 }
 
-/**
- * 後方互換用ラッパー
- */
-function findClosestPrice(timestamps, closes, targetTs) {
-    return findClosestPriceWithIndex(timestamps, closes, targetTs).price;
-}
+function renderFixtureStatus() {
+    const mode = dom.fixtureMode.value;
+    const status = getFixtureStatus();
 
-/**
- * baseIdx から n 取引日前の終値を取得する
- * （nullでない終値のみをカウント）
- */
-function findPriceNTradingDaysBack(closes, baseIdx, n) {
-    let count = 0;
-    for (let i = baseIdx - 1; i >= 0; i--) {
-        if (closes[i] === null) continue;
-        count++;
-        if (count === n) return closes[i];
+    showSection(dom.fixtureInputLabel, mode === 'replay');
+    showSection(dom.fixtureSaveBtn, mode === 'record');
+    dom.fixtureSaveBtn.disabled = !status || status.count === 0;
+
+    if (status?.mode === 'record') {
+        dom.fixtureStatus.textContent = `${status.count} 件の応答を記録中（キャッシュは使用しない）`;
+    } else if (status?.mode === 'replay') {
+        dom.fixtureStatus.textContent = `${fixtureFileName}（${status.count} 件）を再生中`;
+    } else {
+        dom.fixtureStatus.textContent = mode === 'replay' ? 'バンドル未読込' : '-';
     }
-    return null;
 }
 
-/**
- * 変動率を計算 (%)：(現在値 - 過去値) / 過去値 * 100
- */
-function calcChangeRate(currentPrice, pastPrice) {
-    if (currentPrice === null || pastPrice === null || pastPrice === 0) return null;
-    return Math.round((currentPrice - pastPrice) / pastPrice * 10000) / 100;
+function downloadFixtureBundle() {
+    const blob = new Blob([serializeFixtureBundle()], { type: 'application/json' });
+    downloadBlob(blob, `owarine_fixtures_${exportDateStamp()}.json`);
 }
 
-/**
- * 指定ティッカーの終値・配当金・株価変動率を取得
- */
-async function fetchClosingPrice(ticker, targetDateStr) {
-    const nullResult = { price: null, dividend: null, actualDate: null, change1d: null, change7d: null, change14d: null, change30d: null, vwap: null, vwapDeviation: null, error: null };
-    if (!ticker) return { ...nullResult, error: '無効なティッカー' };
-
-    try {
-        // 日付をUNIXタイムスタンプに変換
-        // targetDateStr は "2026/02/20" 形式
-        const targetDate = new Date(targetDateStr.replace(/\//g, '-'));
-        const targetTs = Math.floor(targetDate.getTime() / 1000);
-
-        // 対象日の45日前〜14日後のデータを取得（1ヶ月前比較のため広めに取得）
-        const startTs = targetTs - 45 * 86400;
-        const endTs = targetTs + 14 * 86400;
-
-        const apiUrl = `${YAHOO_API_BASE}${encodeURIComponent(ticker)}?period1=${startTs}&period2=${endTs}&interval=1d&events=div`;
-        const proxyUrl = `${CORS_PROXY}${encodeURIComponent(apiUrl)}`;
-
-        const response = await fetch(proxyUrl, {
-            headers: { 'Accept': 'application/json' }
-        });
-
-        if (!response.ok) {
-            return { ...nullResult, error: `HTTP ${response.status}` };
-        }
-
-        const data = await response.json();
-
-        if (!data.chart || !data.chart.result || data.chart.result.length === 0) {
-            return { ...nullResult, error: 'データなし' };
-        }
-
-        const result = data.chart.result[0];
-        const timestamps = result.timestamp || [];
-        const quote = result.indicators?.quote?.[0] || {};
-        const closes = quote.close || [];
-        const highs = quote.high || [];
-        const lows = quote.low || [];
-        const volumes = quote.volume || [];
-
-        if (timestamps.length === 0 || closes.length === 0) {
-            return { ...nullResult, error: 'チャートデータなし' };
-        }
-
-        // 対象日の終値とインデックスを探す
-        const { price: currentPrice, index: baseIdx } = findClosestPriceWithIndex(timestamps, closes, targetTs);
-
-        if (currentPrice === null || baseIdx === -1) {
-            return { ...nullResult, error: '有効な終値なし' };
-        }
+// ============================================
+// Trading Calendar (JST)
+// ============================================
 
-        const actualDate = new Date(timestamps[baseIdx] * 1000);
-        const formattedDate = `${actualDate.getFullYear()}/${String(actualDate.getMonth() + 1).padStart(2, '0')}/${String(actualDate.getDate()).padStart(2, '0')}`;
-
-        // 取引日ベースで過去の終値を探す
-        // 前日比: 1取引日前, 1週間前比: 5取引日前, 2週間前比: 10取引日前, 1ヶ月前比: 21取引日前
-        const price1d = findPriceNTradingDaysBack(closes, baseIdx, 1);
-        const price7d = findPriceNTradingDaysBack(closes, baseIdx, 5);
-        const price14d = findPriceNTradingDaysBack(closes, baseIdx, 10);
-        const price30d = findPriceNTradingDaysBack(closes, baseIdx, 21);
-
-        // 変動率を計算
-        const change1d = calcChangeRate(currentPrice, price1d);
-        const change7d = calcChangeRate(currentPrice, price7d);
-        const change14d = calcChangeRate(currentPrice, price14d);
-        const change30d = calcChangeRate(currentPrice, price30d);
-
-        // VWAP計算：対象日当日のデータのみ使用
-        // 日足データの場合は当日の TP=(H+L+C)/3 × Volume で計算
-        let vwap = null;
-        let vwapDeviation = null;
-        if (baseIdx >= 0 && highs[baseIdx] !== null && lows[baseIdx] !== null && closes[baseIdx] !== null && volumes[baseIdx] !== null && volumes[baseIdx] > 0) {
-            const tp = (highs[baseIdx] + lows[baseIdx] + closes[baseIdx]) / 3;
-            vwap = Math.round(tp * 10) / 10;
-            vwapDeviation = Math.round((currentPrice - vwap) / vwap * 10000) / 100;
-        }
+function renderHolidayCount() {
+    dom.holidayCount.textContent = `休場日 ${marketHolidays.size} 件`;
+}
 
-        // 配当金を取得（対象日に最も近い配当イベントを探す）
-        let dividendAmount = null;
-        const dividends = result.events?.dividends;
-        if (dividends) {
-            let closestDivDiff = Infinity;
-            for (const [ts, divData] of Object.entries(dividends)) {
-                const divTs = parseInt(ts);
-                const diff = Math.abs(targetTs - divTs);
-                if (diff < closestDivDiff) {
-                    closestDivDiff = diff;
-                    dividendAmount = divData.amount;
-                }
-            }
-        }
+function openHolidaysDialog() {
+    dom.holidaysText.value = Array.from(marketHolidays).sort().join('\n');
+    showSection(dom.holidaysModal);
+}
 
-        return {
-            price: Math.round(currentPrice * 10) / 10,
-            dividend: dividendAmount !== null ? Math.round(dividendAmount * 100) / 100 : null,
-            actualDate: formattedDate,
-            change1d,
-            change7d,
-            change14d,
-            change30d,
-            vwap,
-            vwapDeviation,
-            error: null
-        };
-    } catch (err) {
-        return { ...nullResult, error: err.message };
+function applyHolidaysDialog() {
+    const { holidays, errors } = parseMarketHolidays(dom.holidaysText.value);
+    if (errors.length > 0) {
+        alert(`日付として解釈できない行があります（${errors.join(', ')} 行目）。`);
+        return;
     }
+
+    saveMarketHolidays(holidays);
+    renderHolidayCount();
+    showSection(dom.holidaysModal, false);
 }
 
 // ============================================
 // Batch Processing
 // ============================================
 
-async function fetchAllPrices(stocks) {
+/**
+ * 銘柄リストの終値を取得して画面に反映する
+ * merge = true の場合は既存の結果を残し、対象銘柄の結果だけを差し替える（再取得用）
+ */
+async function fetchAllPrices(stocks, dateColIdx, { merge = false } = {}) {
     isFetching = true;
-    closingPrices = {};
-    errorMessages = [];
-
     const total = stocks.length;
     let completed = 0;
+    const provider = getSelectedProvider();
 
     showProgress(true);
     updateProgress(0, total, '準備中...');
 
     dom.fetchBtn.disabled = true;
+    dom.retryFailedBtn.disabled = true;
     dom.fetchBtn.classList.add('loading');
     dom.fetchBtn.querySelector('.btn-icon').textContent = '⏳';
-
-    for (let i = 0; i < total; i += BATCH_SIZE) {
-        const batch = stocks.slice(i, i + BATCH_SIZE);
-
-        const promises = batch.map(async (stock) => {
-            const result = await fetchClosingPrice(stock.ticker, stock.date);
-            closingPrices[stock.rawCode] = result;
-
-            if (result.error) {
-                errorMessages.push({
-                    code: stock.rawCode,
-                    ticker: stock.ticker || 'N/A',
-                    error: result.error
-                });
-            }
-
-            completed++;
-            updateProgress(completed, total, `${stock.ticker || stock.rawCode} を取得中...`);
-        });
-
-        await Promise.all(promises);
-
-        // レート制限対策：バッチ間に待機
-        if (i + BATCH_SIZE < total) {
-            await sleep(BATCH_DELAY_MS);
-        }
-    }
+    setRunControlsVisible(true);
+
+    fetchScheduler = createFetchScheduler();
+    const outcome = await fetchStockPrices(stocks, dateColIdx, provider, {
+        merge,
+        scheduler: fetchScheduler,
+        intradayVwap: dom.intradayVwap.checked,
+        useCache: dom.cacheEnabled.checked,
+        onProgress: (done, all, stock) => {
+            completed = done;
+            updateProgress(done, all, `${stock.ticker || stock.rawCode} を取得中...`);
+        },
+    });
+    fetchScheduler = null;
 
     isFetching = false;
     dom.fetchBtn.disabled = false;
+    dom.retryFailedBtn.disabled = false;
     dom.fetchBtn.classList.remove('loading');
     dom.fetchBtn.querySelector('.btn-icon').textContent = '🔍';
+    setRunControlsVisible(false);
 
-    updateProgress(total, total, '完了');
+    updateProgress(completed, total, outcome.cancelled ? `中止しました（${total - completed} 銘柄未取得）` : '完了');
     showResults();
     renderTable();
     dom.downloadBtn.disabled = false;
-}
-
-function sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+    dom.downloadXlsxBtn.disabled = false;
+    refreshCacheStats();
+    renderFixtureStatus();
 }
 
 // ============================================
@@ -451,22 +309,49 @@ function updateProgress(current, total, detail) {
     dom.progressValue.textContent = pct + '%';
     dom.progressLabel.textContent = `${current} / ${total} 銘柄取得完了`;
     dom.progressDetail.textContent = detail;
+
+    const etaMs = fetchScheduler && current < total ? fetchScheduler.estimateRemainingMs() : null;
+    dom.progressEta.textContent = etaMs !== null ? `残り約 ${formatDuration(etaMs)}` : '';
+}
+
+function formatDuration(ms) {
+    const sec = Math.ceil(ms / 1000);
+    if (sec < 60) return `${sec}秒`;
+    return `${Math.floor(sec / 60)}分${String(sec % 60).padStart(2, '0')}秒`;
+}
+
+function setRunControlsVisible(show) {
+    showSection(dom.pauseBtn, show);
+    showSection(dom.cancelBtn, show);
+    dom.pauseBtn.disabled = false;
+    dom.cancelBtn.disabled = false;
+    setPauseButtonState(false);
+}
+
+function setPauseButtonState(paused) {
+    dom.pauseBtn.querySelector('.btn-icon').textContent = paused ? '▶' : '⏸';
+    dom.pauseBtn.querySelector('.btn-label').textContent = paused ? '再開' : '一時停止';
+}
+
+async function refreshCacheStats() {
+    const stats = await getPriceCacheStats();
+    dom.cacheStats.textContent = stats
+        ? `${stats.tickers} 銘柄 / ${formatFileSize(stats.bytes)}`
+        : '利用不可';
 }
 
 function showResults() {
-    const successN = Object.values(closingPrices).filter(v => v.price !== null).length;
-    const errorN = errorMessages.length;
-    const naCount = Object.values(closingPrices).filter(v => v.price === null).length;
+    const counts = getResultCounts();
 
-    dom.successCount.textContent = successN;
-    dom.naCount.textContent = naCount;
-    dom.errorCount.textContent = errorN;
+    dom.successCount.textContent = counts.success;
+    dom.naCount.textContent = counts.na;
+    dom.errorCount.textContent = counts.error;
 
     showSection(dom.resultsSection);
 
     if (errorMessages.length > 0) {
         dom.errorLog.innerHTML = errorMessages.map(e =>
-            `<div class="error-entry"><span class="error-code">${e.code}</span> (${e.ticker}) — ${e.error}</div>`
+            `<div class="error-entry"><span class="error-code">${escapeHTML(e.code)}</span> ${escapeHTML(e.date)} (${escapeHTML(e.ticker || 'N/A')}) — ${escapeHTML(e.error)}</div>`
         ).join('');
         showSection(dom.errorSection);
     } else {
@@ -477,20 +362,16 @@ function showResults() {
 function renderTable() {
     if (!parsedData) return;
 
-    const { header, rows } = parsedData;
+    const { rows, schema } = parsedData;
+    const columns = getPreviewColumns();
 
-    // ヘッダー
-    const headerLabels = [
-        '基準日', '(実質上)基準日', '権利落日(普通取引)',
-        '権利落日(その他取引)', '銘柄コード', '銘柄略称',
-        '市場', '備考', '更新フラグ'
-    ];
+    // ヘッダー（入力ファイルの表示対象列）
+    const headerLabels = columns.map(i => escapeHTML(schema.labels[i]));
 
     const hasPrices = Object.keys(closingPrices).length > 0;
-    const thLabels = [...headerLabels];
-    if (hasPrices) {
-        thLabels.push('終値', '配当金', '配当利回り(%)', '前日比(%)', '1週間前比(%)', '2週間前比(%)', '1ヶ月前比(%)', 'VWAP', 'VWAP乖離率(%)');
-    }
+    const metrics = hasPrices ? getTableMetrics() : [];
+    const thLabels = [...headerLabels, 'ティッカー', ...metrics.map(m => escapeHTML(m.label))];
+    const frozenCount = getFrozenColumnCount();
 
     // ソートインジケーター付きヘッダーを生成
     dom.tableHead.innerHTML = '<tr>' + thLabels.map((h, idx) => {
@@ -498,7 +379,7 @@ function renderTable() {
         if (idx === sortColIdx) {
             indicator = sortAsc ? ' ▲' : ' ▼';
         }
-        return `<th class="sortable" data-col="${idx}">${h}<span class="sort-indicator">${indicator}</span></th>`;
+        return `<th class="sortable${frozenCellClass(idx, frozenCount)}" data-col="${idx}">${h}<span class="sort-indicator">${indicator}</span></th>`;
     }).join('') + '</tr>';
 
     // ヘッダーのクリックイベントを設定
@@ -515,74 +396,100 @@ function renderTable() {
         });
     });
 
-    // 行をソート
-    const sortedRows = getSortedRows(rows, hasPrices);
-
-    // データ行（最大200行表示）
-    const displayRows = sortedRows.slice(0, 200);
-    dom.tableBody.innerHTML = displayRows.map(row => {
-        const cells = row.slice(0, 9).map((cell, idx) => `<td>${escapeHTML(cell.trim())}</td>`);
+    // 絞り込んでからソート（スクロール時はこの結果から表示範囲だけを描画する）
+    const filteredRows = getFilteredRows(rows, tableFilters);
+    tableView = { ...tableView, rows: getSortedRows(filteredRows, hasPrices), metrics, hasPrices };
 
-        if (hasPrices) {
-            const code = (row[4] || '').trim();
-            const priceData = closingPrices[code];
-
-            // 終値
-            if (priceData && priceData.price !== null) {
-                cells.push(`<td class="price-cell has-price">${priceData.price.toLocaleString()}</td>`);
-            } else {
-                cells.push(`<td class="price-cell no-price">N/A</td>`);
-            }
+    dom.rowCount.textContent = isFilterActive(tableFilters) ? `${filteredRows.length} / ${rows.length} 行` : `${rows.length} 行`;
+    renderStatistics(filteredRows, hasPrices);
+    showSection(dom.tableSection);
+    renderVisibleRows();
+}
 
-            // 配当金
-            if (priceData && priceData.dividend !== null) {
-                cells.push(`<td class="price-cell has-price">${priceData.dividend.toLocaleString()}</td>`);
-            } else {
-                cells.push(`<td class="price-cell no-price">N/A</td>`);
-            }
+/**
+ * プレビューに表示する入力列（銘柄コード・銘柄名を先頭に固定）
+ */
+function getPreviewColumns() {
+    const { passThrough, codeCol, nameCol } = parsedData.schema;
+    const frozen = [codeCol, nameCol].filter(i => i !== null && passThrough.includes(i));
+    return [...frozen, ...passThrough.filter(i => !frozen.includes(i))];
+}
 
-            // 配当利回り(%)
-            if (priceData && priceData.price !== null && priceData.dividend !== null && priceData.price > 0) {
-                const yieldPct = (priceData.dividend / priceData.price * 100).toFixed(2);
-                cells.push(`<td class="price-cell has-price">${yieldPct}%</td>`);
-            } else {
-                cells.push(`<td class="price-cell no-price">N/A</td>`);
-            }
+function getFrozenColumnCount() {
+    const { passThrough, codeCol, nameCol } = parsedData.schema;
+    return [codeCol, nameCol].filter(i => i !== null && passThrough.includes(i)).length;
+}
 
-            // 前日比・1週間前比・1ヶ月前比
-            for (const key of ['change1d', 'change7d', 'change14d', 'change30d']) {
-                const val = priceData?.[key];
-                if (val !== null && val !== undefined) {
-                    const sign = val > 0 ? '+' : '';
-                    const colorClass = val > 0 ? 'change-up' : val < 0 ? 'change-down' : '';
-                    cells.push(`<td class="price-cell has-price ${colorClass}">${sign}${val.toFixed(2)}%</td>`);
-                } else {
-                    cells.push(`<td class="price-cell no-price">N/A</td>`);
-                }
-            }
+function frozenCellClass(idx, frozenCount) {
+    if (idx >= frozenCount) return '';
+    return ` frozen frozen-${idx}${idx === frozenCount - 1 ? ' frozen-last' : ''}`;
+}
 
-            // VWAP
-            if (priceData && priceData.vwap !== null) {
-                cells.push(`<td class="price-cell has-price">${priceData.vwap.toLocaleString()}</td>`);
-            } else {
-                cells.push(`<td class="price-cell no-price">N/A</td>`);
-            }
+/**
+ * スクロール位置に応じて表示範囲の行だけを描画する
+ * 実際の行の高さが想定と違えば測り直して1回だけ描き直す（描き直した後は測らない）
+ */
+function renderVisibleRows() {
+    drawVisibleRows();
+
+    const sample = dom.tableBody.querySelector('tr:not(.table-spacer)');
+    const measured = sample ? sample.offsetHeight : 0;
+    if (measured > 0 && Math.abs(measured - tableView.rowHeight) >= 1) {
+        tableView.rowHeight = measured;
+        drawVisibleRows();
+    }
+}
 
-            // VWAP乖離率
-            if (priceData && priceData.vwapDeviation !== null) {
-                const sign = priceData.vwapDeviation > 0 ? '+' : '';
-                const colorClass = priceData.vwapDeviation > 0 ? 'change-up' : priceData.vwapDeviation < 0 ? 'change-down' : '';
-                cells.push(`<td class="price-cell has-price ${colorClass}">${sign}${priceData.vwapDeviation.toFixed(2)}%</td>`);
-            } else {
-                cells.push(`<td class="price-cell no-price">N/A</td>`);
-            }
+/**
+ * tableView.rowHeight をもとに表示範囲の行を描く
+ * 範囲外の行は上下のスペーサー行の高さで置き換え、スクロール量を全行分に保つ
+ */
+function drawVisibleRows() {
+    const { rows, metrics, hasPrices, rowHeight } = tableView;
+    const { schema } = parsedData;
+    const columns = getPreviewColumns();
+    const frozenCount = getFrozenColumnCount();
+    const colCount = columns.length + 1 + metrics.length;
+
+    const viewHeight = dom.tableWrapper.clientHeight || rowHeight * 20;
+    const first = Math.max(0, Math.floor(dom.tableWrapper.scrollTop / rowHeight) - TABLE_OVERSCAN_ROWS);
+    const last = Math.min(rows.length, Math.ceil((dom.tableWrapper.scrollTop + viewHeight) / rowHeight) + TABLE_OVERSCAN_ROWS);
+
+    const spacer = (count) => count > 0
+        ? `<tr class="table-spacer" aria-hidden="true"><td colspan="${colCount}" style="height: ${count * rowHeight}px"></td></tr>`
+        : '';
+
+    const body = rows.slice(first, last).map(row => {
+        const cells = columns.map((i, idx) => `<td class="${frozenCellClass(idx, frozenCount).trim()}">${escapeHTML((row[i] || '').trim())}</td>`);
+
+        // 解決したティッカー（上書き表による指定は強調）
+        const ticker = resolveRowTicker(row);
+        const overridden = ticker && getTickerOverride(row[schema.codeCol] || '');
+        cells.push(ticker
+            ? `<td class="ticker-cell${overridden ? ' overridden' : ''}"${overridden ? ' title="上書き表で指定"' : ''}>${escapeHTML(ticker)}</td>`
+            : '<td class="ticker-cell no-price">N/A</td>');
+
+        const priceData = hasPrices ? getPriceDataForRow(row) : null;
+        for (const metric of metrics) {
+            cells.push(renderMetricCell(metric, row, priceData));
         }
 
-        return '<tr>' + cells.join('') + '</tr>';
+        // 日足のある行はクリックでチャートを開く
+        return priceData?.series
+            ? `<tr class="has-chart" data-key="${escapeHTML(rowPriceKey(row))}" title="クリックでチャートを表示">${cells.join('')}</tr>`
+            : '<tr>' + cells.join('') + '</tr>';
     }).join('');
 
-    dom.rowCount.textContent = `${rows.length} 行${rows.length > 200 ? '（200行まで表示）' : ''}`;
-    showSection(dom.tableSection);
+    dom.tableBody.innerHTML = spacer(first) + body + spacer(rows.length - last);
+    updateFrozenOffsets();
+}
+
+/**
+ * 固定列の左位置（2列目は1列目の幅だけずらす）
+ */
+function updateFrozenOffsets() {
+    const firstTh = dom.tableHead.querySelector('th.frozen-0');
+    dom.tableWrapper.style.setProperty('--frozen-offset', `${firstTh ? firstTh.offsetWidth : 0}px`);
 }
 
 /**
@@ -593,65 +500,38 @@ function getSortedRows(rows, hasPrices) {
 
     const sorted = [...rows];
     const colIdx = sortColIdx;
-    const baseColCount = 9; // CSVの元列数
+    const passThrough = getPreviewColumns();
+    const baseColCount = passThrough.length; // 入力ファイル由来の列数
 
     sorted.sort((a, b) => {
         let valA, valB;
 
         if (colIdx < baseColCount) {
             // CSV列のデータ
-            valA = (a[colIdx] || '').trim();
-            valB = (b[colIdx] || '').trim();
+            valA = (a[passThrough[colIdx]] || '').trim();
+            valB = (b[passThrough[colIdx]] || '').trim();
+        } else if (colIdx === baseColCount) {
+            // ティッカー
+            valA = resolveRowTicker(a) || '';
+            valB = resolveRowTicker(b) || '';
         } else if (hasPrices) {
-            // 終値・配当金・配当利回り・変動率列
-            const codeA = (a[4] || '').trim();
-            const codeB = (b[4] || '').trim();
-            const pdA = closingPrices[codeA];
-            const pdB = closingPrices[codeB];
-
-            const extraIdx = colIdx - baseColCount;
-            if (extraIdx === 0) {
-                // 終値
-                valA = pdA?.price ?? null;
-                valB = pdB?.price ?? null;
-            } else if (extraIdx === 1) {
-                // 配当金
-                valA = pdA?.dividend ?? null;
-                valB = pdB?.dividend ?? null;
-            } else if (extraIdx === 2) {
-                // 配当利回り
-                valA = (pdA?.price && pdA?.dividend && pdA.price > 0) ? (pdA.dividend / pdA.price * 100) : null;
-                valB = (pdB?.price && pdB?.dividend && pdB.price > 0) ? (pdB.dividend / pdB.price * 100) : null;
-            } else if (extraIdx === 3) {
-                // 前日比
-                valA = pdA?.change1d ?? null;
-                valB = pdB?.change1d ?? null;
-            } else if (extraIdx === 4) {
-                // 1週間前比
-                valA = pdA?.change7d ?? null;
-                valB = pdB?.change7d ?? null;
-            } else if (extraIdx === 5) {
-                // 2週間前比
-                valA = pdA?.change14d ?? null;
-                valB = pdB?.change14d ?? null;
-            } else if (extraIdx === 6) {
-                // 1ヶ月前比
-                valA = pdA?.change30d ?? null;
-                valB = pdB?.change30d ?? null;
-            } else if (extraIdx === 7) {
-                // VWAP
-                valA = pdA?.vwap ?? null;
-                valB = pdB?.vwap ?? null;
-            } else if (extraIdx === 8) {
-                // VWAP乖離率
-                valA = pdA?.vwapDeviation ?? null;
-                valB = pdB?.vwapDeviation ?? null;
-            }
+            // 取得結果の指標列
+            const pdA = getPriceDataForRow(a);
+            const pdB = getPriceDataForRow(b);
+
+            const metric = getTableMetrics()[colIdx - baseColCount - 1];
+            const sortValue = metric.sortValue || metric.value;
+            valA = sortValue(a, pdA) ?? null;
+            valB = sortValue(b, pdB) ?? null;
 
             // nullは常に末尾へ
             if (valA === null && valB === null) return 0;
             if (valA === null) return 1;
             if (valB === null) return -1;
+            if (typeof valA === 'string') {
+                const cmp = valA.localeCompare(valB, 'ja');
+                return sortAsc ? cmp : -cmp;
+            }
             return sortAsc ? valA - valB : valB - valA;
         }
 
@@ -670,113 +550,448 @@ function getSortedRows(rows, hasPrices) {
     return sorted;
 }
 
-function escapeHTML(str) {
-    const div = document.createElement('div');
-    div.textContent = str;
-    return div.innerHTML;
-}
-
 // ============================================
-// CSV Export
+// Table Filters
 // ============================================
 
-function generateOutputCSV() {
-    if (!parsedData) return '';
+/**
+ * 絞り込み欄の選択肢（市場の一覧・変動率の指標）を作り直す
+ */
+function renderFilterOptions() {
+    const { marketCol } = parsedData.schema;
+    const markets = marketCol !== null
+        ? [...new Set(parsedData.rows.map(r => (r[marketCol] || '').trim()).filter(m => m))].sort()
+        : [];
+    if (!markets.includes(tableFilters.market)) tableFilters.market = '';
+    dom.filterMarket.innerHTML = '<option value="">すべての市場</option>' + markets.map(m =>
+        `<option value="${escapeHTML(m)}"${m === tableFilters.market ? ' selected' : ''}>${escapeHTML(m)}</option>`
+    ).join('');
+    dom.filterMarket.disabled = markets.length === 0;
+
+    const changeMetrics = getMetrics().filter(m => m.kind === 'change');
+    if (!changeMetrics.some(m => m.id === tableFilters.changeId)) tableFilters.changeId = changeMetrics[0].id;
+    dom.filterChangeMetric.innerHTML = changeMetrics.map(m =>
+        `<option value="${m.id}"${m.id === tableFilters.changeId ? ' selected' : ''}>${escapeHTML(m.label)}</option>`
+    ).join('');
+}
 
-    const { metadata, header, rows } = parsedData;
-    const lines = [];
+/**
+ * 絞り込み欄の入力を tableFilters に読み込む
+ */
+function readTableFilters() {
+    const num = (input) => input.value.trim() === '' || isNaN(input.value) ? null : Number(input.value);
+    tableFilters = {
+        search: dom.filterSearch.value.trim(),
+        market: dom.filterMarket.value,
+        remarks: dom.filterRemarks.value.trim(),
+        yieldMin: num(dom.filterYieldMin),
+        yieldMax: num(dom.filterYieldMax),
+        changeId: dom.filterChangeMetric.value,
+        changeMin: num(dom.filterChangeMin),
+        changeMax: num(dom.filterChangeMax),
+        status: dom.filterStatus.value,
+    };
+}
 
-    // メタデータ行を保持
-    for (const line of metadata) {
-        lines.push(line);
+function clearTableFilters() {
+    tableFilters = emptyTableFilters();
+    for (const input of [dom.filterSearch, dom.filterRemarks, dom.filterYieldMin, dom.filterYieldMax, dom.filterChangeMin, dom.filterChangeMax]) {
+        input.value = '';
     }
+    dom.filterStatus.value = '';
+    renderFilterOptions();
+}
 
-    // ヘッダー行（整理されたもの + 終値・配当金・配当利回り列）
-    const headerLabels = [
-        '基準日', '(実質上)基準日', '権利落日(普通取引)',
-        '権利落日(その他の取引)', '銘柄コード', '銘柄略称',
-        '市場', '備考', '更新フラグ', '終値', '配当金', '配当利回り(%)',
-        '前日比(%)', '1週間前比(%)', '2週間前比(%)', '1ヶ月前比(%)',
-        'VWAP', 'VWAP乖離率(%)'
-    ];
-    lines.push(headerLabels.join(','));
+// ============================================
+// Statistics
+// ============================================
 
-    // データ行
-    for (const row of rows) {
-        const cells = row.slice(0, 9).map(c => {
-            const val = c.trim();
-            // カンマや引用符を含む場合は引用符で囲む
-            if (val.includes(',') || val.includes('"') || val.includes('\n')) {
-                return '"' + val.replace(/"/g, '""') + '"';
-            }
-            return val;
-        });
+/**
+ * 取得結果の統計パネルを描画する（取得前は空にする）
+ */
+function renderStatistics(rows, hasPrices) {
+    if (!hasPrices) {
+        dom.statsPanel.innerHTML = '';
+        return;
+    }
 
-        // 終値を追加
-        const code = (row[4] || '').trim();
-        const priceData = closingPrices[code];
-        if (priceData && priceData.price !== null) {
-            cells.push(String(priceData.price));
-        } else {
-            cells.push('N/A');
-        }
+    const stats = computeStatistics(rows);
+    const pct = (v) => v === null ? 'N/A' : `${v > 0 ? '+' : ''}${v.toFixed(2)}%`;
+    const changeClass = (v) => v > 0 ? 'change-up' : v < 0 ? 'change-down' : '';
+
+    const marketRows = stats.byMarket.map(m => `
+        <tr><td>${escapeHTML(m.market)}</td><td>${m.count}</td>
+        <td class="${changeClass(m.mean)}">${pct(m.mean)}</td><td class="${changeClass(m.median)}">${pct(m.median)}</td></tr>`).join('');
+
+    const maxBin = Math.max(1, ...stats.yieldBins.map(b => b.count));
+    const histogram = stats.yieldBins.map(b => `
+        <div class="stats-bar" title="${yieldBinLabel(b)}: ${b.count} 銘柄">
+            <span class="stats-bar-count">${b.count || ''}</span>
+            <span class="stats-bar-fill" style="height: calc((100% - 32px) * ${(b.count / maxBin).toFixed(3)})"></span>
+            <span class="stats-bar-label">${b.to === null ? `${b.from}+` : b.from}</span>
+        </div>`).join('');
+
+    const rankList = (title, list, format) => `
+        <div class="stats-rank">
+            <h4>${title}</h4>
+            <ol>${list.map(e => `<li><span class="stats-rank-name">${escapeHTML(e.code)} ${escapeHTML(e.name)}</span><span>${format(e)}</span></li>`).join('') || '<li>N/A</li>'}</ol>
+        </div>`;
+    const yieldText = (e) => `${e.yield.toFixed(2)}%`;
+    const changeText = (e) => `<span class="${changeClass(e.change1d)}">${pct(e.change1d)}</span>`;
+
+    const { excessDrop } = stats;
+    dom.statsPanel.innerHTML = `
+        <div class="stats-header">
+            <h3>統計</h3>
+            <span class="setting-note">${isFilterActive(tableFilters) ? `絞り込み後の ${stats.rowCount} 行` : `全 ${stats.rowCount} 行`}</span>
+        </div>
+        <div class="stats-grid">
+            <div class="stats-card">
+                <h4>市場別 権利落日騰落率</h4>
+                <table class="stats-table">
+                    <thead><tr><th>市場</th><th>銘柄数</th><th>平均</th><th>中央値</th></tr></thead>
+                    <tbody>${marketRows || '<tr><td colspan="4">N/A</td></tr>'}</tbody>
+                </table>
+                <p class="stats-excess">配当金を超えて下落: <strong>${excessDrop.share === null ? 'N/A' : `${excessDrop.share.toFixed(1)}%`}</strong>（${excessDrop.count} / ${excessDrop.total} 銘柄）</p>
+            </div>
+            <div class="stats-card">
+                <h4>配当利回りの分布 (%)</h4>
+                <div class="stats-histogram">${histogram}</div>
+            </div>
+            <div class="stats-card stats-ranks">
+                ${rankList('利回り 上位', stats.yieldRank.top, yieldText)}
+                ${rankList('利回り 下位', stats.yieldRank.bottom, yieldText)}
+                ${rankList('前日比 上位', stats.change1dRank.top, changeText)}
+                ${rankList('前日比 下位', stats.change1dRank.bottom, changeText)}
+            </div>
+        </div>`;
+}
 
-        // 配当金を追加
-        if (priceData && priceData.dividend !== null) {
-            cells.push(String(priceData.dividend));
-        } else {
-            cells.push('N/A');
-        }
+// ============================================
+// Metric Registry
+// ============================================
 
-        // 配当利回り(%)を追加
-        if (priceData && priceData.price !== null && priceData.dividend !== null && priceData.price > 0) {
-            cells.push((priceData.dividend / priceData.price * 100).toFixed(2));
-        } else {
-            cells.push('N/A');
-        }
+const NA_CELL = '<td class="price-cell no-price">N/A</td>';
 
-        // 変動率を追加
-        for (const key of ['change1d', 'change7d', 'change14d', 'change30d']) {
-            const val = priceData?.[key];
-            cells.push(val !== null && val !== undefined ? val.toFixed(2) : 'N/A');
+/**
+ * 既定と異なる表示をする指標の <td>（キーは指標の id）
+ */
+const METRIC_CELL_RENDERERS = {
+    // エラー・未取得の行には再取得ボタンを付ける
+    price: (row, pd) => {
+        if (pd && pd.price !== null) return `<td class="price-cell has-price">${pd.price.toLocaleString()}</td>`;
+        if (pd && !pd.error) return NA_CELL;
+        const key = escapeHTML(rowPriceKey(row));
+        return `<td class="price-cell no-price">N/A<button class="row-retry-btn" data-key="${key}" title="この銘柄を再取得">↻</button></td>`;
+    },
+    // 備考に分割・優待などがある行は対象外
+    yield: (row, pd) => {
+        const yieldPct = calcDividendYield(pd, row);
+        if (yieldPct !== null) return `<td class="price-cell has-price">${yieldPct.toFixed(2)}%</td>`;
+        const actions = getCorporateActions(row);
+        if (pd && pd.price !== null && pd.dividend !== null && actions.length > 0) {
+            return `<td class="price-cell no-price" title="備考: ${escapeHTML(actions.join('・'))}">対象外</td>`;
         }
+        return NA_CELL;
+    },
+    // 表ではスパークライン（エクスポートは期間の騰落率）
+    closeTrend: (row, pd) => renderSparklineCell(pd),
+    // 日足近似は控えめに表示する
+    vwapMethod: (row, pd) => {
+        if (!pd?.vwapMethod) return NA_CELL;
+        const methodClass = pd.vwapMethod === 'daily' ? 'vwap-approx' : 'has-price';
+        return `<td class="price-cell ${methodClass}">${VWAP_METHOD_LABELS[pd.vwapMethod]}</td>`;
+    },
+    // 権利付終値があって期間内に戻らなかった場合は「未回復」
+    recoveryDays: (row, pd) => {
+        if (pd && pd.recoveryDays != null) return `<td class="price-cell has-price">${pd.recoveryDays}日</td>`;
+        if (pd && pd.cumClose != null) return '<td class="price-cell no-price">未回復</td>';
+        return NA_CELL;
+    },
+    // 超過下落はプラスが配当金以上の下落なので色を逆にする
+    excessDrop: (row, pd) => renderExcessDropCell(pd, pd?.excessDrop?.toLocaleString()),
+    excessDropRate: (row, pd) => renderExcessDropCell(pd, pd?.excessDropRate != null ? `${pd.excessDropRate.toFixed(2)}%` : null),
+    actionNotes: (row, pd) => {
+        const notes = getRowActionNotes(row, pd);
+        return notes ? `<td class="action-note">${escapeHTML(notes)}</td>` : '<td></td>';
+    },
+    // 要求した日付と違う場合は強調して理由を出す
+    actualDate: (row, pd) => {
+        if (!pd?.actualDate) return NA_CELL;
+        const noteAttr = pd.dateNote ? ` class="date-shifted" title="${escapeHTML(pd.dateNote)}"` : '';
+        return `<td${noteAttr}>${escapeHTML(pd.actualDate)}</td>`;
+    },
+};
 
-        // VWAP
-        if (priceData && priceData.vwap !== null) {
-            cells.push(String(priceData.vwap));
-        } else {
-            cells.push('N/A');
-        }
+function renderExcessDropCell(pd, text) {
+    if (pd?.excessDrop == null || text == null) return NA_CELL;
+    const colorClass = pd.excessDrop > 0 ? 'change-down' : pd.excessDrop < 0 ? 'change-up' : '';
+    return `<td class="price-cell has-price ${colorClass}">${text}</td>`;
+}
 
-        // VWAP乖離率
-        if (priceData && priceData.vwapDeviation !== null) {
-            cells.push(priceData.vwapDeviation.toFixed(2));
-        } else {
-            cells.push('N/A');
+/**
+ * 表の終値推移（インラインSVG）。期間の始値より上なら緑、下なら赤
+ */
+function renderSparklineCell(pd) {
+    const closes = pd?.series ? recentCloses(pd.series, SPARKLINE_DAYS) : [];
+    if (closes.length < 2) return NA_CELL;
+
+    const width = 80;
+    const height = 20;
+    const min = Math.min(...closes);
+    const range = Math.max(...closes) - min || 1;
+    const points = closes.map((c, i) =>
+        `${(i / (closes.length - 1) * width).toFixed(1)},${(height - 1 - (c - min) / range * (height - 2)).toFixed(1)}`
+    ).join(' ');
+    const color = closes[closes.length - 1] >= closes[0] ? CHART_COLORS.up : CHART_COLORS.down;
+
+    return `<td class="sparkline-cell" title="直近${closes.length}取引日の終値"><svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">` +
+        `<polyline points="${points}" fill="none" stroke="${color}" stroke-width="1.2"/></svg></td>`;
+}
+
+/**
+ * 指標の表示セル（METRIC_CELL_RENDERERS になければ kind ごとの既定の表示）
+ */
+function renderMetricCell(metric, row, pd) {
+    const render = METRIC_CELL_RENDERERS[metric.id];
+    if (render) return render(row, pd);
+
+    const val = metric.value(row, pd);
+    if (val === null || val === undefined) return NA_CELL;
+
+    switch (metric.kind) {
+        case 'change': {
+            const sign = val > 0 ? '+' : '';
+            const colorClass = val > 0 ? 'change-up' : val < 0 ? 'change-down' : '';
+            return `<td class="price-cell has-price ${colorClass}">${sign}${val.toFixed(2)}%</td>`;
         }
+        case 'percent':
+            return `<td class="price-cell has-price">${val.toFixed(2)}%</td>`;
+        case 'price':
+        case 'number':
+            return `<td class="price-cell has-price">${val.toLocaleString()}</td>`;
+        default:
+            return `<td>${escapeHTML(String(val))}</td>`;
+    }
+}
+
+function renderCustomMetricList() {
+    dom.customMetricList.innerHTML = customMetrics.map((def, idx) => `
+        <li class="custom-metric">
+            <span>${escapeHTML(buildCustomMetric(def).label)}</span>
+            <button class="file-remove" data-idx="${idx}" title="指標を削除">✕</button>
+        </li>`).join('');
+}
+
+/**
+ * 指標の追加・削除を表とエクスポート設定に反映する（追加した列はエクスポート対象にする）
+ */
+function refreshMetricColumns(addedId = null) {
+    sortColIdx = -1;
+    renderCustomMetricList();
+    if (parsedData) renderFilterOptions();
+    if (exportSettings) {
+        exportSettings.columns = normalizeExportColumns(exportSettings.columns);
+        const added = exportSettings.columns.find(c => c.id === addedId);
+        if (added) added.enabled = true;
+        renderExportSettings();
+    }
+    renderTable();
+}
+
+// ============================================
+// Price Chart
+// ============================================
+
+const CHART_COLORS = {
+    up: '#22c55e',
+    down: '#ef4444',
+    grid: 'rgba(99, 102, 241, 0.15)',
+    text: '#9ca3af',
+    volume: 'rgba(99, 102, 241, 0.45)',
+    target: '#22d3ee',
+    exDate: '#f59e0b',
+    theoretical: '#e8eaf0',
+};
+
+/**
+ * 取得した日足のローソク足と出来高を canvas に描く
+ * marks: { targetIdx, exIdx, dividend, theoreticalPrice }（該当なしは null）
+ */
+function drawPriceChart(canvas, series, marks) {
+    const dpr = window.devicePixelRatio || 1;
+    const width = canvas.clientWidth;
+    const height = canvas.clientHeight;
+    canvas.width = width * dpr;
+    canvas.height = height * dpr;
+
+    const ctx = canvas.getContext('2d');
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    ctx.clearRect(0, 0, width, height);
+    ctx.font = '11px ' + getComputedStyle(document.body).fontFamily;
+
+    const { timestamps, opens, highs, lows, closes, volumes } = series;
+    const bars = timestamps.map((ts, i) => i).filter(i => closes[i] !== null);
+    if (bars.length === 0) return;
+
+    // 上 72% を価格、下を出来高に使う。右端は価格目盛り
+    const pad = { top: 24, right: 64, bottom: 22, left: 8 };
+    const plotW = width - pad.left - pad.right;
+    const plotH = height - pad.top - pad.bottom;
+    const priceH = plotH * 0.72;
+    const volumeTop = pad.top + priceH + 8;
+    const volumeH = plotH - priceH - 8;
+
+    const slot = plotW / bars.length;
+    const xOf = (n) => pad.left + slot * (n + 0.5);
+
+    const priceValues = bars.flatMap(i => [highs[i] ?? closes[i], lows[i] ?? closes[i]]);
+    if (marks.theoreticalPrice !== null) priceValues.push(marks.theoreticalPrice);
+    let minPrice = Math.min(...priceValues);
+    let maxPrice = Math.max(...priceValues);
+    const margin = (maxPrice - minPrice || maxPrice * 0.01 || 1) * 0.05;
+    minPrice -= margin;
+    maxPrice += margin;
+    const yOf = (price) => pad.top + (maxPrice - price) / (maxPrice - minPrice) * priceH;
+    const maxVolume = Math.max(...bars.map(i => volumes[i] || 0)) || 1;
+
+    // 価格目盛り
+    ctx.strokeStyle = CHART_COLORS.grid;
+    ctx.fillStyle = CHART_COLORS.text;
+    ctx.lineWidth = 1;
+    ctx.textBaseline = 'middle';
+    for (let g = 0; g <= 4; g++) {
+        const price = minPrice + (maxPrice - minPrice) * g / 4;
+        const y = yOf(price);
+        ctx.beginPath();
+        ctx.moveTo(pad.left, y);
+        ctx.lineTo(pad.left + plotW, y);
+        ctx.stroke();
+        ctx.fillText(Math.round(price).toLocaleString(), pad.left + plotW + 6, y);
+    }
 
-        lines.push(cells.join(','));
+    // 日付（おおよそ6か所）
+    ctx.textBaseline = 'top';
+    ctx.textAlign = 'center';
+    const labelStep = Math.max(1, Math.ceil(bars.length / 6));
+    for (let n = 0; n < bars.length; n += labelStep) {
+        ctx.fillText(jstDateKey(timestamps[bars[n]]).slice(5), xOf(n), height - pad.bottom + 6);
     }
 
-    return lines.join('\r\n');
+    // ローソク足と出来高
+    const bodyW = Math.max(1, slot * 0.6);
+    bars.forEach((i, n) => {
+        const open = opens[i] ?? closes[i];
+        const close = closes[i];
+        const color = close >= open ? CHART_COLORS.up : CHART_COLORS.down;
+        const x = xOf(n);
+
+        ctx.strokeStyle = color;
+        ctx.fillStyle = color;
+        ctx.beginPath();
+        ctx.moveTo(x, yOf(highs[i] ?? Math.max(open, close)));
+        ctx.lineTo(x, yOf(lows[i] ?? Math.min(open, close)));
+        ctx.stroke();
+        const top = yOf(Math.max(open, close));
+        ctx.fillRect(x - bodyW / 2, top, bodyW, Math.max(1, yOf(Math.min(open, close)) - top));
+
+        const volH = (volumes[i] || 0) / maxVolume * volumeH;
+        ctx.fillStyle = CHART_COLORS.volume;
+        ctx.fillRect(x - bodyW / 2, volumeTop + volumeH - volH, bodyW, volH);
+    });
+
+    // 基準日・権利落日の縦線
+    const drawMarker = (idx, color, label) => {
+        const n = bars.indexOf(idx);
+        if (n === -1) return;
+        ctx.save();
+        ctx.strokeStyle = color;
+        ctx.fillStyle = color;
+        ctx.setLineDash([4, 3]);
+        ctx.beginPath();
+        ctx.moveTo(xOf(n), pad.top);
+        ctx.lineTo(xOf(n), volumeTop + volumeH);
+        ctx.stroke();
+        ctx.textBaseline = 'bottom';
+        ctx.fillText(label, xOf(n), pad.top - 4);
+        ctx.restore();
+    };
+    if (marks.targetIdx !== null) drawMarker(marks.targetIdx, CHART_COLORS.target, '基準日');
+    if (marks.exIdx !== null && marks.exIdx !== marks.targetIdx) {
+        drawMarker(marks.exIdx, CHART_COLORS.exDate, marks.dividend !== null ? `権利落日（配当 ${marks.dividend}円）` : '権利落日');
+    }
+
+    // 理論落値（権利付最終日から右端まで）
+    if (marks.theoreticalPrice !== null && marks.exIdx !== null) {
+        const startN = Math.max(0, bars.indexOf(marks.exIdx) - 1);
+        const y = yOf(marks.theoreticalPrice);
+        ctx.save();
+        ctx.strokeStyle = CHART_COLORS.theoretical;
+        ctx.fillStyle = CHART_COLORS.theoretical;
+        ctx.setLineDash([2, 3]);
+        ctx.beginPath();
+        ctx.moveTo(xOf(startN), y);
+        ctx.lineTo(pad.left + plotW, y);
+        ctx.stroke();
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'bottom';
+        ctx.fillText(`理論落値 ${marks.theoreticalPrice.toLocaleString()}`, pad.left + plotW, y - 2);
+        ctx.restore();
+    }
 }
 
-function downloadCSV() {
-    const csvContent = generateOutputCSV();
-    if (!csvContent) return;
+/**
+ * 行の取得結果をチャートのダイアログで開く
+ */
+function openPriceChart(row) {
+    const pd = getPriceDataForRow(row);
+    if (!pd?.series) return;
+
+    const { schema } = parsedData;
+    const stock = stockFromRow(row, schema.codeCol, priceDateColIdx);
+    const { timestamps, closes } = pd.series;
+    const { exDate: exKey, cumDate } = resolveExSessions(normalizeDateKey(stock.exDate) || normalizeDateKey(stock.date));
+    const { exIdx } = findExSessionBars(timestamps, closes, exKey, cumDate);
+
+    const name = schema.nameCol !== null ? (row[schema.nameCol] || '').trim() : '';
+    dom.chartTitle.textContent = [stock.ticker, name].filter(v => v).join(' ');
+    dom.chartNote.textContent = [
+        `基準日 ${pd.actualDate}`,
+        `権利落日 ${exKey}`,
+        pd.dividend !== null ? `配当金 ${pd.dividend}円` : null,
+        pd.theoreticalPrice !== null ? `理論落値 ${pd.theoreticalPrice.toLocaleString()}` : null,
+        `${jstDateKey(timestamps[0])} 〜 ${jstDateKey(timestamps[timestamps.length - 1])}`,
+    ].filter(v => v).join(' ／ ');
+
+    // canvas の大きさはダイアログ表示後に決まる
+    showSection(dom.chartModal);
+    drawPriceChart(dom.chartCanvas, pd.series, {
+        targetIdx: pd.series.baseIdx,
+        exIdx: exIdx >= 0 ? exIdx : null,
+        dividend: pd.dividend,
+        theoreticalPrice: pd.theoreticalPrice,
+    });
+}
 
-    // BOM付きUTF-8でエクスポート（Excelで文字化けしないように）
-    const bom = '\uFEFF';
-    const blob = new Blob([bom + csvContent], { type: 'text/csv;charset=utf-8;' });
+// ============================================
+// CSV Export
+// ============================================
+
+const DEFAULT_EXPORT_PRESET = '標準';
+
+function downloadExport() {
+    if (!parsedData) return;
+
+    const { parts, mime, ext } = generateExport({ ...exportSettings, filters: tableFilters });
+    downloadBlob(new Blob(parts, { type: mime }), `kabuka_owarine_${exportDateStamp()}.${ext}`);
+}
 
+function downloadBlob(blob, fileName) {
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.href = url;
 
-    // ファイル名を生成
-    const now = new Date();
-    const timestamp = `${now.getFullYear()}${String(now.getMonth() + 1).padStart(2, '0')}${String(now.getDate()).padStart(2, '0')}`;
-    a.download = `kabuka_owarine_${timestamp}.csv`;
+    a.download = fileName;
 
     document.body.appendChild(a);
     a.click();
@@ -785,98 +1000,348 @@ function downloadCSV() {
 }
 
 // ============================================
-// File Handling
+// Export Presets
 // ============================================
 
-function handleFile(file) {
-    if (!file) return;
+/**
+ * 保存済みプリセット { name: settings }
+ */
+function loadExportPresets() {
+    return loadStoredJSON(EXPORT_PRESETS_KEY, {});
+}
+
+function saveExportPreset(name, settings) {
+    const presets = loadExportPresets();
+    presets[name] = settings;
+    saveStoredJSON(EXPORT_PRESETS_KEY, presets);
+}
 
-    const ext = file.name.split('.').pop().toLowerCase();
+function deleteExportPreset(name) {
+    const presets = loadExportPresets();
+    delete presets[name];
+    saveStoredJSON(EXPORT_PRESETS_KEY, presets);
+}
+
+function applyExportPreset(name) {
+    const preset = name === DEFAULT_EXPORT_PRESET ? null : loadExportPresets()[name];
+    exportSettings = preset
+        ? { ...defaultExportSettings(), ...preset, columns: normalizeExportColumns(preset.columns || []) }
+        : defaultExportSettings();
+    renderExportSettings();
+}
+
+function renderExportPresetOptions(selected) {
+    const names = [DEFAULT_EXPORT_PRESET, ...Object.keys(loadExportPresets())];
+    dom.exportPreset.innerHTML = names.map(n =>
+        `<option value="${escapeHTML(n)}"${n === selected ? ' selected' : ''}>${escapeHTML(n)}</option>`
+    ).join('');
+    dom.exportPresetDelete.disabled = selected === DEFAULT_EXPORT_PRESET;
+}
+
+function renderExportSettings() {
+    dom.exportFormat.value = exportSettings.format;
+    dom.exportMissing.value = exportSettings.missing;
+    dom.exportFiltered.checked = exportSettings.filtered;
+
+    const byId = new Map(getExportColumns().map(c => [c.id, c]));
+    dom.exportColumns.innerHTML = exportSettings.columns.map((c, idx) => `
+        <li class="export-column${c.enabled ? '' : ' disabled'}" data-idx="${idx}">
+            <label class="checkbox-label">
+                <input type="checkbox" data-action="toggle"${c.enabled ? ' checked' : ''}>
+                ${escapeHTML(byId.get(c.id).label)}
+            </label>
+            <button class="export-move-btn" data-action="up" title="上へ"${idx === 0 ? ' disabled' : ''}>↑</button>
+            <button class="export-move-btn" data-action="down" title="下へ"${idx === exportSettings.columns.length - 1 ? ' disabled' : ''}>↓</button>
+        </li>`).join('');
+}
+
+// ============================================
+// Excel Export
+// ============================================
+
+function downloadXLSX() {
+    if (!parsedData) return;
+
+    XLSX.writeFile(buildWorkbook({ ...exportSettings, filters: tableFilters }), `kabuka_owarine_${exportDateStamp()}.xlsx`);
+}
 
-    if (!['csv', 'xls', 'xlsx'].includes(ext)) {
-        alert('CSV、XLS、またはXLSXファイルを選択してください。');
+// ============================================
+// Excel Import
+// ============================================
+
+/**
+ * 取り込むシートを選んでもらう（キャンセル時は null）
+ */
+let sheetPickerContext = null;  // { sheets, resolve }
+
+function pickSheets(sheets, fileName) {
+    return new Promise((resolve) => {
+        sheetPickerContext = { sheets, resolve };
+        dom.sheetFileName.textContent = fileName;
+        dom.sheetList.innerHTML = sheets.map((sheet, i) => `
+            <li>
+                <label class="checkbox-label">
+                    <input type="checkbox" value="${i}"${i === 0 ? ' checked' : ''}>
+                    ${escapeHTML(sheet.name)}
+                    <span class="setting-note">${sheet.rowCount} 行</span>
+                </label>
+            </li>`).join('');
+        showSection(dom.sheetModal);
+    });
+}
+
+function closeSheetPicker(selected = null) {
+    const { resolve } = sheetPickerContext;
+    sheetPickerContext = null;
+    showSection(dom.sheetModal, false);
+    resolve(selected);
+}
+
+function applySheetPicker() {
+    const { sheets } = sheetPickerContext;
+    const selected = Array.from(dom.sheetList.querySelectorAll('input:checked'))
+        .map(input => sheets[parseInt(input.value)]);
+
+    if (selected.length === 0) {
+        alert('シートを1つ以上選択してください。');
         return;
     }
 
-    // Excel ファイル（XLS / XLSX）の場合
-    if (ext === 'xls' || ext === 'xlsx') {
+    closeSheetPicker(selected);
+}
+
+// ============================================
+// File Handling
+// ============================================
+
+function readFile(file, method, encoding) {
+    return new Promise((resolve, reject) => {
         const reader = new FileReader();
-        reader.onload = (e) => {
-            try {
-                const data = new Uint8Array(e.target.result);
-                const workbook = XLSX.read(data, { type: 'array' });
-                // 最初のシートをCSVに変換
-                const firstSheet = workbook.Sheets[workbook.SheetNames[0]];
-                const csvText = XLSX.utils.sheet_to_csv(firstSheet);
-                processCSVText(csvText, file);
-            } catch (err) {
-                alert('Excelファイルの読み込みに失敗しました: ' + err.message);
-                console.error(err);
-            }
-        };
-        reader.readAsArrayBuffer(file);
-        return;
+        reader.onload = (e) => resolve(e.target.result);
+        reader.onerror = () => reject(reader.error);
+        reader[method](file, encoding);
+    });
+}
+
+/**
+ * ファイルを読み込み、シートごとの CSV テキストにする（シート選択をキャンセルした場合は null）
+ * 戻り値: { sheets: { name: string|null, text: string }[] }
+ */
+async function readFileAsSource(file) {
+    const source = readSourceBytes(new Uint8Array(await readFile(file, 'readAsArrayBuffer')), file.name);
+    if (source.sheets.length === 1) return source;
+
+    // 複数シートがある場合は取り込むシートを選んでもらう
+    const selected = await pickSheets(source.sheets, file.name);
+    return selected ? { sheets: selected } : null;
+}
+
+/**
+ * 入力を解析して列の対応を適用する（対応付けをキャンセルした場合は null）
+ */
+async function parseSource(source) {
+    const parsed = parseCSV(source.sheets[0].text);
+    const mapping = resolveColumnMapping(parsed);
+
+    if (mapping) {
+        return applyColumnMapping(source, mapping);
     }
 
-    // CSV ファイルの場合
-    const reader = new FileReader();
+    // 既知の形式でなければ列の対応付けを指定してもらう
+    return openMappingDialog(source, {
+        signature: headerSignature(parsed.header),
+        headerLine: parsed.headerLine,
+        roles: guessColumnRoles(parsed.header),
+    });
+}
 
-    reader.onload = (e) => {
-        let text = e.target.result;
-
-        // Shift-JIS の可能性を考慮
-        // FileReader の readAsText はデフォルトUTF-8
-        // 文字化けしている場合は Shift-JIS で再読み込み
-        if (text.includes('�') || text.includes('\ufffd')) {
-            const readerSJIS = new FileReader();
-            readerSJIS.onload = (e2) => {
-                processCSVText(e2.target.result, file);
-            };
-            readerSJIS.readAsText(file, 'Shift_JIS');
-            return;
+/**
+ * 選択・ドロップされたファイルを順に読み込んで作業データに追加する
+ */
+async function handleFiles(fileList) {
+    for (const file of Array.from(fileList)) {
+        if (parsedData?.files.some(f => f.name === file.name)) {
+            alert(`${file.name} は既に読み込まれています。`);
+            continue;
         }
 
-        processCSVText(text, file);
-    };
+        try {
+            const source = await readFileAsSource(file);
+            if (!source) continue;
 
-    reader.readAsText(file, 'UTF-8');
+            const data = await parseSource(source);
+            if (!data) continue;
+
+            addFileData(data, source, file);
+        } catch (err) {
+            alert(`${file.name} の読み込みに失敗しました: ${err.message}`);
+            console.error(err);
+        }
+    }
+    dom.fileInput.value = '';
 }
 
-function processCSVText(text, file) {
-    try {
-        parsedData = parseCSV(text);
-        closingPrices = {};
-        errorMessages = [];
-
-        // ファイル情報を表示
-        dom.fileName.textContent = file.name;
-        dom.fileSize.textContent = formatFileSize(file.size);
-        showSection(dom.fileInfo, true);
-        dom.dropZone.style.display = 'none';
-
-        // 銘柄数をカウント
-        const codeColIdx = 4; // 銘柄コード列
-        const dateColIdx = parseInt(dom.dateColumn.value);
-        const stocks = getUniqueStocks(parsedData.rows, codeColIdx, dateColIdx);
-
-        dom.stockCount.textContent = parsedData.rows.length;
-        dom.uniqueStockCount.textContent = stocks.length;
-
-        // セクション表示
-        showSection(dom.settingsSection);
-        showSection(dom.actionSection);
+// ============================================
+// Working Dataset
+// ============================================
+
+/**
+ * 読み込んだファイルを作業データに追加して画面に反映する
+ */
+function addFileData(data, source, file) {
+    if (!parsedData) sortColIdx = -1;
+    mergeFileData(data, source, file);
+    refreshDataset();
+}
+
+/**
+ * 作業データからファイルを取り除く
+ */
+function removeFile(index) {
+    if (removeFileData(index) === 0) {
+        resetFile();
+        return;
+    }
+    refreshDataset();
+}
+
+/**
+ * ファイル構成の変更を画面に反映する
+ */
+function refreshDataset() {
+    // ファイル情報を表示
+    renderFileList();
+    showSection(dom.fileInfo, true);
+    dom.dropZone.style.display = 'none';
+
+    // 日付列の選択肢と形式（選択中の列はそのまま）
+    const selectedDateCol = parseInt(dom.dateColumn.value);
+    renderDateColumnOptions(parsedData.schema);
+    if (parsedData.schema.dateCols.includes(selectedDateCol)) {
+        dom.dateColumn.value = String(selectedDateCol);
+    }
+    dom.layoutLabel.textContent = parsedData.schema.layoutLabel;
+    dom.editMappingBtn.disabled = parsedData.files.length !== 1;
+    renderFilterOptions();
+
+    // 銘柄数をカウント
+    const codeColIdx = parsedData.schema.codeCol;
+    const dateColIdx = parseInt(dom.dateColumn.value);
+    const stocks = getUniqueStocks(parsedData.rows, codeColIdx, dateColIdx);
+
+    dom.stockCount.textContent = parsedData.rows.length;
+    dom.uniqueStockCount.textContent = stocks.length;
+
+    // セクション表示
+    const hasResults = Object.keys(closingPrices).length > 0;
+    showSection(dom.settingsSection);
+    showSection(dom.actionSection);
+    showSection(dom.exportSection);
+    if (hasResults) {
+        showResults();
+    } else {
         showSection(dom.resultsSection, false);
         showSection(dom.errorSection, false);
         showSection(dom.progressContainer, false);
-        dom.downloadBtn.disabled = true;
+    }
+    dom.downloadBtn.disabled = !hasResults;
+    dom.downloadXlsxBtn.disabled = !hasResults;
 
-        // テーブル描画
-        renderTable();
+    // 列構成が変わるのでエクスポート設定を合わせ直す
+    applyExportPreset(dom.exportPreset.value);
+
+    // テーブル描画
+    renderTable();
+}
+
+function renderFileList() {
+    dom.fileList.innerHTML = parsedData.files.map((f, i) => `
+        <li class="file-info">
+            <span class="file-icon">📄</span>
+            <span class="file-name">${escapeHTML(f.name)}</span>
+            <span class="file-size">${formatFileSize(f.size)} ・ ${f.rowCount} 行${f.duplicateCount > 0 ? `（重複 ${f.duplicateCount} 行を除外）` : ''}</span>
+            <button class="file-remove" data-idx="${i}" title="ファイルを削除">✕</button>
+        </li>`).join('');
+}
+
+function renderDateColumnOptions(schema) {
+    dom.dateColumn.innerHTML = schema.dateCols.map(i =>
+        `<option value="${i}"${i === schema.defaultDateCol ? ' selected' : ''}>${escapeHTML(schema.labels[i])}</option>`
+    ).join('');
+}
+
+// ============================================
+// Column Mapping Dialog
+// ============================================
+
+let mappingContext = null;  // { source, signature, headerLine, roles, resolve } ダイアログ表示中の対応付け
+
+/**
+ * 列の対応付けダイアログを開く
+ * 適用すると対応を反映した入力データ、キャンセルすると null で解決する
+ */
+function openMappingDialog(source, { signature, headerLine, roles }) {
+    return new Promise((resolve) => {
+        mappingContext = { source, signature, headerLine, roles: [...roles], resolve };
+        dom.mappingHeaderLine.value = headerLine + 1;
+        renderMappingTable();
+        showSection(dom.mappingModal);
+    });
+}
 
+function closeMappingDialog(data = null) {
+    const { resolve } = mappingContext;
+    mappingContext = null;
+    showSection(dom.mappingModal, false);
+    resolve(data);
+}
+
+function renderMappingTable() {
+    const { source, headerLine, roles } = mappingContext;
+    let parsed;
+    try {
+        parsed = parseCSV(source.sheets[0].text, headerLine);
     } catch (err) {
-        alert('CSV解析エラー: ' + err.message);
-        console.error(err);
+        dom.mappingBody.innerHTML = `<tr><td colspan="4">${escapeHTML(err.message)}</td></tr>`;
+        return;
     }
+
+    const roleOptions = (selected) => Object.entries(COLUMN_ROLES).map(([id, label]) =>
+        `<option value="${id}"${id === selected ? ' selected' : ''}>${label}</option>`
+    ).join('');
+
+    dom.mappingBody.innerHTML = parsed.header.map((h, i) => {
+        const samples = parsed.rows.slice(0, 3).map(r => (r[i] || '').trim()).filter(v => v).join(' / ');
+        return `<tr>
+            <td>${i + 1}</td>
+            <td>${escapeHTML(h.trim())}</td>
+            <td class="mapping-sample">${escapeHTML(samples)}</td>
+            <td><select data-col="${i}">${roleOptions(roles[i] || 'ignore')}</select></td>
+        </tr>`;
+    }).join('');
+}
+
+function applyMappingDialog() {
+    const { source, signature, headerLine } = mappingContext;
+    const roles = Array.from(dom.mappingBody.querySelectorAll('select')).map(sel => sel.value);
+
+    if (roles.filter(r => r === 'code').length !== 1) {
+        alert('銘柄コード列を1つだけ指定してください。');
+        return;
+    }
+
+    let data;
+    try {
+        data = applyColumnMapping(source, { headerLine, roles, layout: null });
+    } catch (err) {
+        alert(err.message);
+        return;
+    }
+
+    if (dom.mappingRemember.checked) {
+        saveColumnMapping(signature, { headerLine, roles });
+    }
+    closeMappingDialog(data);
 }
 
 function formatFileSize(bytes) {
@@ -889,36 +1354,53 @@ function resetFile() {
     parsedData = null;
     closingPrices = {};
     errorMessages = [];
+    tableFilters = emptyTableFilters();
+    dom.tableWrapper.scrollTop = 0;
+    dom.tableWrapper.scrollLeft = 0;
 
     dom.fileInput.value = '';
     showSection(dom.fileInfo, false);
     dom.dropZone.style.display = '';
     showSection(dom.settingsSection, false);
     showSection(dom.actionSection, false);
+    showSection(dom.exportSection, false);
     showSection(dom.resultsSection, false);
     showSection(dom.tableSection, false);
     showSection(dom.errorSection, false);
 }
 
+// ============================================
+// Utilities
+// ============================================
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+function escapeHTML(str) {
+    return String(str).replace(/[&<>"']/g, ch => HTML_ESCAPES[ch]);
+}
+
 // ============================================
 // Event Listeners
 // ============================================
 
-// ファイルドロップ
-dom.dropZone.addEventListener('dragover', (e) => {
+// ファイルドロップ（読み込み後もアップロード欄へのドロップで追加できる）
+dom.uploadSection.addEventListener('dragover', (e) => {
     e.preventDefault();
     dom.dropZone.classList.add('drag-over');
+    dom.uploadSection.classList.add('drag-over');
 });
 
-dom.dropZone.addEventListener('dragleave', () => {
+dom.uploadSection.addEventListener('dragleave', () => {
     dom.dropZone.classList.remove('drag-over');
+    dom.uploadSection.classList.remove('drag-over');
 });
 
-dom.dropZone.addEventListener('drop', (e) => {
+dom.uploadSection.addEventListener('drop', (e) => {
     e.preventDefault();
     dom.dropZone.classList.remove('drag-over');
+    dom.uploadSection.classList.remove('drag-over');
     const files = e.dataTransfer.files;
-    if (files.length > 0) handleFile(files[0]);
+    if (files.length > 0) handleFiles(files);
 });
 
 dom.dropZone.addEventListener('click', (e) => {
@@ -928,29 +1410,216 @@ dom.dropZone.addEventListener('click', (e) => {
 });
 
 dom.fileInput.addEventListener('change', (e) => {
-    if (e.target.files.length > 0) handleFile(e.target.files[0]);
+    if (e.target.files.length > 0) handleFiles(e.target.files);
 });
 
 // ファイル削除
-dom.fileRemove.addEventListener('click', (e) => {
+dom.fileList.addEventListener('click', (e) => {
+    const btn = e.target.closest('.file-remove');
+    if (!btn || isFetching) return;
+    e.stopPropagation();
+    removeFile(parseInt(btn.dataset.idx));
+});
+
+dom.fileRemoveAll.addEventListener('click', (e) => {
     e.stopPropagation();
+    if (isFetching) return;
     resetFile();
 });
 
 // 日付列変更時にユニーク銘柄数を更新
 dom.dateColumn.addEventListener('change', () => {
     if (!parsedData) return;
-    const codeColIdx = 4;
+    const codeColIdx = parsedData.schema.codeCol;
     const dateColIdx = parseInt(dom.dateColumn.value);
     const stocks = getUniqueStocks(parsedData.rows, codeColIdx, dateColIdx);
     dom.uniqueStockCount.textContent = stocks.length;
 });
 
+// 列の対応付け（1ファイルのときのみ。対応を変えたら読み込み直す）
+dom.editMappingBtn.addEventListener('click', async () => {
+    if (!parsedData || isFetching || parsedData.files.length !== 1) return;
+    const [entry] = parsedData.files;
+    const parsed = parseCSV(entry.source.sheets[0].text);
+    // 取り込み元シート・ファイル列は対応付けの対象外
+    const roles = parsedData.roles.slice(0, parsed.header.length);
+
+    const data = await openMappingDialog(entry.source, {
+        signature: headerSignature(parsed.header),
+        headerLine: entry.headerLine,
+        roles,
+    });
+    if (!data) return;
+
+    parsedData = null;
+    addFileData(data, entry.source, entry);
+});
+
+dom.mappingHeaderLine.addEventListener('change', () => {
+    if (!mappingContext) return;
+    const line = parseInt(dom.mappingHeaderLine.value) - 1;
+    if (isNaN(line) || line < 0) return;
+
+    mappingContext.headerLine = line;
+    try {
+        mappingContext.roles = guessColumnRoles(parseCSV(mappingContext.source.sheets[0].text, line).header);
+    } catch (err) {
+        mappingContext.roles = [];
+    }
+    renderMappingTable();
+});
+
+dom.mappingCancel.addEventListener('click', () => closeMappingDialog());
+dom.mappingApply.addEventListener('click', applyMappingDialog);
+
+// シート選択
+dom.sheetSelectAll.addEventListener('click', () => {
+    dom.sheetList.querySelectorAll('input[type="checkbox"]').forEach(input => { input.checked = true; });
+});
+dom.sheetCancel.addEventListener('click', () => closeSheetPicker());
+dom.sheetApply.addEventListener('click', applySheetPicker);
+
+// 価格データ取得元の切り替え
+dom.providerSelect.addEventListener('change', () => {
+    showSection(dom.localPriceItem, dom.providerSelect.value === localFileProvider.id);
+});
+
+// CORS プロキシ
+dom.proxyUrlInput.value = proxyUrl === CORS_PROXY ? '' : proxyUrl;
+dom.proxyUrlSave.addEventListener('click', () => {
+    try {
+        saveProxyUrl(dom.proxyUrlInput.value);
+        dom.proxyUrlInput.value = proxyUrl === CORS_PROXY ? '' : proxyUrl;
+        alert(`CORS プロキシを ${proxyUrl} に設定しました。`);
+    } catch (err) {
+        alert('CORS プロキシを設定できません: ' + err.message);
+    }
+});
+
+// ローカル価格ファイルの読み込み
+dom.localPriceInput.addEventListener('change', (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = (ev) => {
+        try {
+            const count = localFileProvider.load(ev.target.result, file.name);
+            dom.localPriceStatus.textContent = `${file.name}（${count} 銘柄）`;
+        } catch (err) {
+            localFileProvider.records = null;
+            dom.localPriceStatus.textContent = '未読込';
+            alert('価格ファイルの読み込みに失敗しました: ' + err.message);
+            console.error(err);
+        }
+    };
+    reader.readAsText(file, 'UTF-8');
+});
+
+// ユーザー定義指標
+dom.customMetricAdd.addEventListener('click', () => {
+    const def = { type: dom.customMetricType.value, days: parseInt(dom.customMetricDays.value) };
+    if (!(def.days >= 1 && def.days <= 250)) {
+        alert('取引日数は 1〜250 の範囲で指定してください。');
+        return;
+    }
+    if (customMetrics.some(d => customMetricId(d) === customMetricId(def))) {
+        alert('同じ指標が既に追加されています。');
+        return;
+    }
+
+    saveCustomMetrics([...customMetrics, def]);
+    refreshMetricColumns(customMetricId(def));
+    if (needsLongerLookback()) {
+        alert('取得済みの終値では期間が足りないため、追加した指標は N/A になります。終値を再取得してください。');
+    }
+});
+
+dom.customMetricList.addEventListener('click', (e) => {
+    const btn = e.target.closest('.file-remove');
+    if (!btn) return;
+    saveCustomMetrics(customMetrics.filter((_, i) => i !== parseInt(btn.dataset.idx)));
+    refreshMetricColumns();
+});
+renderCustomMetricList();
+
+// 取引所カレンダー（休場日）
+dom.holidaysBtn.addEventListener('click', openHolidaysDialog);
+dom.holidaysCancel.addEventListener('click', () => showSection(dom.holidaysModal, false));
+dom.holidaysSave.addEventListener('click', applyHolidaysDialog);
+dom.holidaysReset.addEventListener('click', () => {
+    dom.holidaysText.value = DEFAULT_MARKET_HOLIDAYS.join('\n');
+});
+
+// ファイルの日付を現在の一覧に追加する
+dom.holidaysImport.addEventListener('change', async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    try {
+        const { holidays, errors } = parseMarketHolidays(await readFile(file, 'readAsText', 'UTF-8'));
+        if (holidays.length === 0) throw new Error('日付が見つかりません。');
+        const merged = new Set([...parseMarketHolidays(dom.holidaysText.value).holidays, ...holidays]);
+        dom.holidaysText.value = Array.from(merged).sort().join('\n');
+        if (errors.length > 0) {
+            alert(`${errors.length} 行を日付として解釈できなかったため読み飛ばしました。`);
+        }
+    } catch (err) {
+        alert('休場日ファイルの読み込みに失敗しました: ' + err.message);
+        console.error(err);
+    }
+    dom.holidaysImport.value = '';
+});
+renderHolidayCount();
+
+// ティッカーの上書き表
+dom.tickerOverridesBtn.addEventListener('click', openTickerOverridesDialog);
+dom.tickerCancel.addEventListener('click', () => showSection(dom.tickerModal, false));
+dom.tickerSave.addEventListener('click', applyTickerOverridesDialog);
+renderTickerOverrideCount();
+
+// キャッシュ操作
+dom.cacheInvalidateBtn.addEventListener('click', async () => {
+    const target = dom.cacheTickerInput.value;
+    if (!target.trim()) return;
+    const n = await invalidateCachedTicker(target);
+    dom.cacheTickerInput.value = '';
+    alert(n > 0 ? `${target.trim()} のキャッシュを削除しました。` : `${target.trim()} のキャッシュはありません。`);
+    refreshCacheStats();
+});
+
+dom.cacheClearBtn.addEventListener('click', async () => {
+    if (!confirm('価格キャッシュをすべて削除しますか？')) return;
+    await clearPriceCache();
+    refreshCacheStats();
+});
+
+refreshCacheStats();
+
+// 取得の記録・再生
+dom.fixtureMode.addEventListener('change', () => setFixtureMode(dom.fixtureMode.value));
+dom.fixtureSaveBtn.addEventListener('click', downloadFixtureBundle);
+
+dom.fixtureInput.addEventListener('change', async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    try {
+        startFixtureReplay(await readFile(file, 'readAsText', 'UTF-8'));
+        fixtureFileName = file.name;
+    } catch (err) {
+        stopFixtureSession();
+        alert('フィクスチャバンドルの読み込みに失敗しました: ' + err.message);
+        console.error(err);
+    }
+    dom.fixtureInput.value = '';
+    renderFixtureStatus();
+});
+renderFixtureStatus();
+
 // 終値取得ボタン
 dom.fetchBtn.addEventListener('click', async () => {
     if (!parsedData || isFetching) return;
 
-    const codeColIdx = 4;
+    const codeColIdx = parsedData.schema.codeCol;
     const dateColIdx = parseInt(dom.dateColumn.value);
     const stocks = getUniqueStocks(parsedData.rows, codeColIdx, dateColIdx);
 
@@ -959,10 +1628,175 @@ dom.fetchBtn.addEventListener('click', async () => {
         return;
     }
 
-    await fetchAllPrices(stocks);
+    if (getSelectedProvider() === localFileProvider && !localFileProvider.records) {
+        alert('ローカル価格ファイルを読み込んでください。');
+        return;
+    }
+
+    if (dom.fixtureMode.value === 'replay' && !getFixtureStatus()) {
+        alert('再生するフィクスチャバンドルを読み込んでください。');
+        return;
+    }
+
+    await fetchAllPrices(stocks, dateColIdx);
 });
 
+// 一時停止 / 再開ボタン
+dom.pauseBtn.addEventListener('click', () => {
+    if (!fetchScheduler) return;
+    if (fetchScheduler.isPaused()) {
+        fetchScheduler.resume();
+        dom.progressDetail.textContent = '再開しました';
+    } else {
+        fetchScheduler.pause();
+        dom.progressDetail.textContent = '一時停止中（実行中のリクエストは完了まで待機）';
+    }
+    setPauseButtonState(fetchScheduler.isPaused());
+});
+
+// 中止ボタン
+dom.cancelBtn.addEventListener('click', () => {
+    if (!fetchScheduler) return;
+    fetchScheduler.cancel();
+    dom.pauseBtn.disabled = true;
+    dom.cancelBtn.disabled = true;
+    dom.progressDetail.textContent = '中止しています...';
+});
+
+// 失敗分を再取得
+dom.retryFailedBtn.addEventListener('click', async () => {
+    if (!parsedData || isFetching || errorMessages.length === 0) return;
+
+    await fetchAllPrices(getFailedStocks(), priceDateColIdx, { merge: true });
+});
+
+// プレビューのスクロールに合わせて表示範囲を描き直す
+dom.tableWrapper.addEventListener('scroll', () => {
+    if (tableScrollFrame !== null || !parsedData) return;
+    tableScrollFrame = requestAnimationFrame(() => {
+        tableScrollFrame = null;
+        renderVisibleRows();
+    });
+});
+
+// 行ごとの再取得・チャート表示
+dom.tableBody.addEventListener('click', async (e) => {
+    const btn = e.target.closest('.row-retry-btn');
+    if (!btn) {
+        const tr = e.target.closest('tr.has-chart');
+        const row = tr && parsedData?.rows.find(r => rowPriceKey(r) === tr.dataset.key);
+        if (row) openPriceChart(row);
+        return;
+    }
+    if (!parsedData || isFetching) return;
+
+    const row = parsedData.rows.find(r => rowPriceKey(r) === btn.dataset.key);
+    const stock = row && stockFromRow(row, parsedData.schema.codeCol, priceDateColIdx);
+    if (!stock) return;
+
+    await fetchAllPrices([stock], priceDateColIdx, { merge: true });
+});
+
+// 価格チャート
+dom.chartClose.addEventListener('click', () => showSection(dom.chartModal, false));
+dom.chartModal.addEventListener('click', (e) => {
+    if (e.target === dom.chartModal) showSection(dom.chartModal, false);
+});
+
+// エクスポート設定
+dom.exportPreset.addEventListener('change', () => {
+    applyExportPreset(dom.exportPreset.value);
+    dom.exportPresetDelete.disabled = dom.exportPreset.value === DEFAULT_EXPORT_PRESET;
+});
+
+dom.exportPresetSave.addEventListener('click', () => {
+    const current = dom.exportPreset.value;
+    const name = (prompt('プリセット名を入力してください。', current === DEFAULT_EXPORT_PRESET ? '' : current) || '').trim();
+    if (!name) return;
+    if (name === DEFAULT_EXPORT_PRESET) {
+        alert(`「${DEFAULT_EXPORT_PRESET}」は上書きできません。`);
+        return;
+    }
+    saveExportPreset(name, exportSettings);
+    renderExportPresetOptions(name);
+});
+
+dom.exportPresetDelete.addEventListener('click', () => {
+    const name = dom.exportPreset.value;
+    if (name === DEFAULT_EXPORT_PRESET || !confirm(`プリセット「${name}」を削除しますか？`)) return;
+    deleteExportPreset(name);
+    renderExportPresetOptions(DEFAULT_EXPORT_PRESET);
+    applyExportPreset(DEFAULT_EXPORT_PRESET);
+});
+
+dom.exportFormat.addEventListener('change', () => {
+    exportSettings.format = dom.exportFormat.value;
+});
+
+dom.exportMissing.addEventListener('change', () => {
+    exportSettings.missing = dom.exportMissing.value;
+});
+
+dom.exportFiltered.addEventListener('change', () => {
+    exportSettings.filtered = dom.exportFiltered.checked;
+});
+
+// プレビューの絞り込み
+for (const input of [dom.filterSearch, dom.filterRemarks, dom.filterYieldMin, dom.filterYieldMax, dom.filterChangeMin, dom.filterChangeMax]) {
+    input.addEventListener('input', () => {
+        readTableFilters();
+        renderTable();
+    });
+}
+for (const select of [dom.filterMarket, dom.filterChangeMetric, dom.filterStatus]) {
+    select.addEventListener('change', () => {
+        readTableFilters();
+        renderTable();
+    });
+}
+dom.filterClear.addEventListener('click', () => {
+    clearTableFilters();
+    renderTable();
+});
+
+dom.exportColumns.addEventListener('click', (e) => {
+    const action = e.target.dataset?.action;
+    const item = e.target.closest('.export-column');
+    if (!action || !item) return;
+
+    const idx = parseInt(item.dataset.idx);
+    const cols = exportSettings.columns;
+    if (action === 'toggle') {
+        cols[idx].enabled = e.target.checked;
+    } else {
+        const to = action === 'up' ? idx - 1 : idx + 1;
+        if (to < 0 || to >= cols.length) return;
+        [cols[idx], cols[to]] = [cols[to], cols[idx]];
+    }
+    renderExportSettings();
+});
+
+dom.exportFormat.innerHTML = Object.entries(EXPORT_FORMATS).map(([id, f]) =>
+    `<option value="${id}">${f.label}</option>`
+).join('');
+renderExportPresetOptions(DEFAULT_EXPORT_PRESET);
+applyExportPreset(DEFAULT_EXPORT_PRESET);
+
 // ダウンロードボタン
 dom.downloadBtn.addEventListener('click', () => {
-    downloadCSV();
+    try {
+        downloadExport();
+    } catch (err) {
+        alert('エクスポートに失敗しました: ' + err.message);
+        console.error(err);
+    }
+});
+
+dom.downloadXlsxBtn.addEventListener('click', () => {
+    try {
+        downloadXLSX();
+    } catch (err) {
+        alert('Excelファイルの作成に失敗しました: ' + err.message);
+        console.error(err);
+    }
 });
@@ -0,0 +1,234 @@
+#!/usr/bin/env node
+// ============================================
+// コマンドライン版
+// ============================================
+//
+// 権利付き銘柄の一覧（JPX の CSV / XLS / XLSX）に終値・配当などを付けて出力する
+// 処理はブラウザ版と同じ core.js を使う
+//
+//   node cli.js <入力ファイル>... [-o 出力ファイル] [オプション]
+//
+// 出力形式は -o の拡張子（.csv / .tsv / .json / .xlsx）か --format で決める
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const core = require('./core.js');
+
+const USAGE = `使い方: node cli.js <入力ファイル>... [オプション]
+
+オプション:
+  -o, --output <ファイル>       出力先（省略時は kabuka_owarine_YYYYMMDD.<拡張子>）
+  -f, --format <形式>           csv | tsv | json | sjis | xlsx（省略時は出力先の拡張子から判断）
+  -p, --provider <取得元>       yahoo | stooq | local（既定: yahoo）
+      --price-file <ファイル>   local で使う価格ファイル（CSV）
+  -d, --date-column <列>        終値を取る日付列（列名または 1 始まりの列番号）
+      --sheet <シート名>        Excel の取り込むシート（複数指定可。省略時はデータのある全シート）
+      --missing <文字列>        欠損値の表記（既定: N/A）
+      --intraday-vwap           VWAP を分足から計算する
+      --metrics <指標>          ユーザー定義指標を「種類:取引日数」のカンマ区切りで追加する
+                                （種類: change | avgVolume | fromHigh | fromLow。例: change:20,avgVolume:60）
+      --proxy <URL>             CORS プロキシ（proxy-server.js・mock-server.js など。既定: corsproxy.io）
+      --record <ファイル>       取得元の応答をフィクスチャバンドルに記録する
+      --replay <ファイル>       フィクスチャバンドルの応答を再生する（ネットワークに出ない）
+      --ticker-overrides <ファイル>  ティッカーの上書き表（1行に「銘柄コード シンボル」）
+      --holidays <ファイル>     休場日の一覧（1行に1日付）
+  -q, --quiet                   進捗を表示しない
+  -h, --help                    このヘルプを表示する`;
+
+// 値を取るオプション（短縮形は正式名に読み替える）
+const VALUE_OPTIONS = new Set(['output', 'format', 'provider', 'price-file', 'date-column', 'sheet', 'missing', 'ticker-overrides', 'holidays', 'metrics', 'proxy', 'record', 'replay']);
+const FLAG_OPTIONS = new Set(['intraday-vwap', 'quiet', 'help']);
+const SHORT_OPTIONS = { o: 'output', f: 'format', p: 'provider', d: 'date-column', q: 'quiet', h: 'help' };
+
+const FORMAT_BY_EXT = { csv: 'csv', tsv: 'tsv', json: 'json', xlsx: 'xlsx' };
+
+/**
+ * 引数を { inputs, options } に分ける（--sheet は配列）
+ */
+function parseArgs(argv) {
+    const inputs = [];
+    const options = { sheet: [] };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (!arg.startsWith('-') || arg === '-') {
+            inputs.push(arg);
+            continue;
+        }
+
+        const [rawName, inlineValue] = arg.replace(/^--?/, '').split(/=(.*)/s);
+        const name = arg.startsWith('--') ? rawName : SHORT_OPTIONS[rawName];
+        if (FLAG_OPTIONS.has(name)) {
+            options[name] = true;
+        } else if (VALUE_OPTIONS.has(name)) {
+            const value = inlineValue ?? argv[++i];
+            if (value === undefined) throw new Error(`${arg} に値を指定してください。`);
+            if (name === 'sheet') options.sheet.push(value);
+            else options[name] = value;
+        } else {
+            throw new Error(`不明なオプションです: ${arg}`);
+        }
+    }
+    return { inputs, options };
+}
+
+/**
+ * Excel の入出力・Shift_JIS 出力に使う SheetJS を必要になったときだけ読み込む
+ */
+function requireSheetJS(withCodepage = false) {
+    if (!globalThis.XLSX) {
+        try {
+            globalThis.XLSX = require('xlsx');
+        } catch (err) {
+            throw new Error('Excel・Shift_JIS の入出力には xlsx パッケージが必要です（npm install）。');
+        }
+    }
+    if (withCodepage && !globalThis.cptable) {
+        globalThis.cptable = require('xlsx/dist/cpexcel.js');
+    }
+}
+
+/**
+ * --metrics の指定をユーザー定義指標 { type, days }[] にする（ブラウザ版の「ユーザー定義指標」と同じ）
+ */
+function parseMetricsOption(spec) {
+    const defs = new Map();
+    for (const item of spec.split(',').map(s => s.trim()).filter(Boolean)) {
+        const m = item.match(/^(\w+):(\d+)$/);
+        const def = m && { type: m[1], days: parseInt(m[2], 10) };
+        if (!def || !core.CUSTOM_METRIC_TYPES[def.type] || !(def.days >= 1 && def.days <= 250)) {
+            throw new Error(`--metrics の「${item}」を解釈できません（種類: ${Object.keys(core.CUSTOM_METRIC_TYPES).join(' | ')}、取引日数: 1〜250）。`);
+        }
+        defs.set(`${def.type}:${def.days}`, def);
+    }
+    return [...defs.values()];
+}
+
+function readText(file) {
+    return core.decodeCSVBytes(new Uint8Array(fs.readFileSync(file)));
+}
+
+/**
+ * 日付列の指定（列名または 1 始まりの列番号）を列インデックスにする
+ */
+function resolveDateColumn(schema, spec) {
+    if (spec === undefined) return schema.defaultDateCol;
+
+    const byLabel = schema.dateCols.find(i => schema.labels[i].trim() === spec.trim());
+    if (byLabel !== undefined) return byLabel;
+    const byNumber = /^\d+$/.test(spec) ? parseInt(spec, 10) - 1 : -1;
+    if (schema.dateCols.includes(byNumber)) return byNumber;
+
+    const choices = schema.dateCols.map(i => `${i + 1}: ${schema.labels[i]}`).join(', ');
+    throw new Error(`日付列「${spec}」が見つかりません（${choices}）。`);
+}
+
+function loadInputs(inputs, sheetNames) {
+    for (const file of inputs) {
+        const name = path.basename(file);
+        if (/\.xlsx?$/i.test(name)) requireSheetJS();
+
+        const source = core.readSourceBytes(new Uint8Array(fs.readFileSync(file)), name);
+        if (sheetNames.length > 0) {
+            source.sheets = source.sheets.filter(s => sheetNames.includes(s.name));
+            if (source.sheets.length === 0) throw new Error(`${name} に指定のシートがありません。`);
+        }
+
+        const data = core.parseKnownSource(source);
+        if (!data) {
+            throw new Error(`${name} の列の形式を判別できません。JPX 形式か、銘柄コード・日付の見出しがあるファイルを指定してください。`);
+        }
+        core.mergeFileData(data, source, { name, size: fs.statSync(file).size });
+    }
+}
+
+async function main(argv) {
+    const { inputs, options } = parseArgs(argv);
+    if (options.help || inputs.length === 0) {
+        console.log(USAGE);
+        return options.help ? 0 : 1;
+    }
+
+    // 出力形式
+    const output = options.output || null;
+    const format = options.format || (output ? FORMAT_BY_EXT[path.extname(output).slice(1).toLowerCase()] : null) || 'csv';
+    if (format !== 'xlsx' && !core.EXPORT_FORMATS[format]) {
+        throw new Error(`出力形式「${format}」には対応していません。`);
+    }
+    if (format === 'xlsx') requireSheetJS();
+    if (format === 'sjis') requireSheetJS(true);
+
+    // 設定ファイル
+    if (options['ticker-overrides']) {
+        const { overrides, errors } = core.parseTickerOverrides(readText(options['ticker-overrides']));
+        if (errors.length > 0) throw new Error(`上書き表の ${errors.join(', ')} 行目を解釈できません。`);
+        core.saveTickerOverrides(overrides);
+    }
+    if (options.holidays) {
+        const { holidays, errors } = core.parseMarketHolidays(readText(options.holidays));
+        if (errors.length > 0) throw new Error(`休場日の ${errors.join(', ')} 行目を解釈できません。`);
+        core.saveMarketHolidays(holidays);
+    }
+    if (options.metrics) core.saveCustomMetrics(parseMetricsOption(options.metrics));
+
+    // 取得元
+    const provider = core.PRICE_PROVIDERS[options.provider || 'yahoo'];
+    if (!provider) throw new Error(`取得元「${options.provider}」には対応していません。`);
+    if (provider.id === 'local') {
+        if (!options['price-file']) throw new Error('--provider local には --price-file を指定してください。');
+        provider.load(readText(options['price-file']), path.basename(options['price-file']));
+    }
+    if (options.proxy) core.saveProxyUrl(options.proxy);
+
+    // 記録・再生
+    if (options.record && options.replay) throw new Error('--record と --replay は同時に指定できません。');
+    if (options.record) core.startFixtureRecording();
+    if (options.replay) core.startFixtureReplay(fs.readFileSync(options.replay, 'utf8'));
+
+    loadInputs(inputs, options.sheet);
+
+    const { schema, rows } = core.parsedData;
+    const dateColIdx = resolveDateColumn(schema, options['date-column']);
+    const stocks = core.getUniqueStocks(rows, schema.codeCol, dateColIdx);
+    if (stocks.length === 0) throw new Error('取得対象の銘柄が見つかりません。');
+
+    const progress = !options.quiet && process.stderr.isTTY;
+    await core.fetchStockPrices(stocks, dateColIdx, provider, {
+        intradayVwap: !!options['intraday-vwap'],
+        onProgress: (done, total, stock) => {
+            if (progress) process.stderr.write(`\r${done} / ${total} ${stock.ticker || stock.rawCode}      `);
+        },
+    });
+    if (progress) process.stderr.write('\n');
+    if (options.record) fs.writeFileSync(options.record, core.serializeFixtureBundle());
+
+    // 出力
+    const settings = { ...core.defaultExportSettings(), format, missing: options.missing ?? 'N/A' };
+    const ext = format === 'xlsx' ? 'xlsx' : core.EXPORT_FORMATS[format].ext;
+    const outFile = output || `kabuka_owarine_${core.exportDateStamp()}.${ext}`;
+    if (format === 'xlsx') {
+        XLSX.writeFile(core.buildWorkbook(settings), outFile);
+    } else {
+        const { parts } = core.generateExport(settings);
+        fs.writeFileSync(outFile, Buffer.concat(parts.map(p => typeof p === 'string' ? Buffer.from(p, 'utf8') : Buffer.from(p))));
+    }
+
+    const counts = core.getResultCounts();
+    if (!options.quiet) {
+        console.error(`${outFile}: ${rows.length} 行（成功 ${counts.success}・取得不可 ${counts.na}・エラー ${counts.error}）`);
+        for (const e of core.errorMessages) {
+            console.error(`  ${e.code} ${e.date} (${e.ticker || 'N/A'}) — ${e.error}`);
+        }
+        if (options.record) console.error(`${options.record}: ${core.getFixtureStatus().count} 件の応答を記録`);
+    }
+    return 0;
+}
+
+main(process.argv.slice(2))
+    .then(code => { process.exitCode = code; })
+    .catch(err => {
+        console.error('エラー: ' + err.message);
+        process.exitCode = 1;
+    });
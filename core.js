@@ -0,0 +1,2905 @@
+// 終値取得の中核処理（DOM・表示用の HTML に依存しない部分。表示は app.js）
+// ブラウザでは app.js より前に読み込み、Node.js では cli.js から require して使う
+
+// ============================================
+// Constants
+// ============================================
+const CORS_PROXY = 'https://corsproxy.io/?';
+const YAHOO_API_BASE = 'https://query1.finance.yahoo.com/v8/finance/chart/';
+const STOOQ_API_BASE = 'https://stooq.com/q/d/l/';
+const FETCH_CONCURRENCY = 5;          // 同時リクエスト数の初期値
+const FETCH_MAX_CONCURRENCY = 8;
+const FETCH_START_INTERVAL_MS = 300;  // リクエスト開始の最小間隔
+const FETCH_MAX_RETRIES = 4;
+const FETCH_RETRY_BASE_MS = 1000;     // 指数バックオフの基準待機時間
+const FETCH_POLL_MS = 100;
+const CACHE_DB_NAME = 'owarine-price-cache';
+const CACHE_STORE = 'charts';
+const CACHE_MIN_FETCH_SPAN = 10 * 86400;
+const CACHE_RECORD_VERSION = 2;       // 2: 分割イベントを含む
+const FIXTURE_FORMAT = 'owarine-fixtures';
+const FIXTURE_VERSION = 1;
+const POST_EX_WINDOW_DAYS = 60;       // 権利落ち後の回復を追う期間（暦日）
+const LOOKBACK_MIN_DAYS = 45;         // 対象日より前に取得する期間（暦日）
+
+// 変動率の比較期間（取引日数）
+const CHANGE_LOOKBACKS = [
+    { id: 'change1d', label: '前日比(%)', days: 1 },
+    { id: 'change7d', label: '1週間前比(%)', days: 5 },
+    { id: 'change14d', label: '2週間前比(%)', days: 10 },
+    { id: 'change30d', label: '1ヶ月前比(%)', days: 21 },
+];
+const JST_OFFSET_SEC = 9 * 3600;
+const SPARKLINE_DAYS = 30;            // 表の終値推移に使う取引日数
+const STATS_RANK_SIZE = 5;            // 統計の上位・下位に出す銘柄数
+const STATS_YIELD_BIN_WIDTH = 0.5;    // 利回り分布の階級幅（%）
+const STATS_YIELD_BIN_COUNT = 10;     // 利回り分布の階級数（最後の階級は上限なし）
+const EXPORT_PRESETS_KEY = 'owarine.exportPresets';
+const COLUMN_MAPPINGS_KEY = 'owarine.columnMappings';
+const TICKER_OVERRIDES_KEY = 'owarine.tickerOverrides';
+const MARKET_HOLIDAYS_KEY = 'owarine.marketHolidays';
+const CUSTOM_METRICS_KEY = 'owarine.customMetrics';
+const PROXY_URL_KEY = 'owarine.proxyUrl';
+const HEADER_SEARCH_LINES = 20;
+const SHEET_COLUMN_LABEL = 'シート';
+const FILE_COLUMN_LABEL = 'ファイル';
+const XLSX_PCT_FORMAT = '0.00%';
+const XLSX_CHANGE_FORMAT = '[Color10]+0.00%;[Red]-0.00%;0.00%';  // プラスは緑、マイナスは赤
+
+// 東証の休場日（土日以外）。設定画面で編集・読み込みしたものがあればそちらを使う
+const DEFAULT_MARKET_HOLIDAYS = [
+    '2024/01/01', '2024/01/02', '2024/01/03', '2024/01/08', '2024/02/12', '2024/02/23',
+    '2024/03/20', '2024/04/29', '2024/05/03', '2024/05/06', '2024/07/15', '2024/08/12',
+    '2024/09/16', '2024/09/23', '2024/10/14', '2024/11/04', '2024/12/31',
+    '2025/01/01', '2025/01/02', '2025/01/03', '2025/01/13', '2025/02/11', '2025/02/24',
+    '2025/03/20', '2025/04/29', '2025/05/05', '2025/05/06', '2025/07/21', '2025/08/11',
+    '2025/09/15', '2025/09/23', '2025/10/13', '2025/11/03', '2025/11/24', '2025/12/31',
+    '2026/01/01', '2026/01/02', '2026/01/12', '2026/02/11', '2026/02/23', '2026/03/20',
+    '2026/04/29', '2026/05/04', '2026/05/05', '2026/05/06', '2026/07/20', '2026/08/11',
+    '2026/09/21', '2026/09/22', '2026/09/23', '2026/10/12', '2026/11/03', '2026/11/23',
+    '2026/12/31',
+    '2027/01/01', '2027/01/11', '2027/02/11', '2027/02/23', '2027/03/22', '2027/04/29',
+    '2027/05/03', '2027/05/04', '2027/05/05', '2027/07/19', '2027/08/11', '2027/09/20',
+    '2027/09/23', '2027/10/11', '2027/11/03', '2027/11/23', '2027/12/31',
+];
+
+// ============================================
+// State
+// ============================================
+let parsedData = null;      // { header: string[], roles, layout, schema, rows: string[][], files: { name, size, metadata, rowCount, duplicateCount, ... }[] }
+let closingPrices = {};     // { "銘柄コード|基準日": { price: number|null, dividend: number|null, actualDate: string, ... } }
+let priceDateColIdx = 2;    // 終値取得時に使った日付列（結果の引き当てに使う）
+let lastRunInfo = null;     // { dateColLabel, providerLabel, fetchedAt: Date, lookbackDays } 直近の取得条件
+let errorMessages = [];
+let proxyUrl = loadStoredJSON(PROXY_URL_KEY, null) || CORS_PROXY;  // 取得先 URL の前に付ける CORS プロキシ
+let fixtureSession = null;  // { mode: 'record' | 'replay', recordedAt, responses: Map<url, 応答> } 記録・再生中のみ
+let tickerOverrides = loadStoredJSON(TICKER_OVERRIDES_KEY, {});  // { 銘柄コード: シンボル } ティッカーの上書き表
+let customMetrics = loadStoredJSON(CUSTOM_METRICS_KEY, []);  // { type, days }[] ユーザー定義指標
+let marketHolidays = new Set(loadStoredJSON(MARKET_HOLIDAYS_KEY, null) ?? DEFAULT_MARKET_HOLIDAYS);  // 休場日（"YYYY/MM/DD"）
+
+// ============================================
+// Browser Storage
+// ============================================
+
+/**
+ * localStorage から JSON を読む（未保存・破損時は fallback）
+ */
+function loadStoredJSON(key, fallback) {
+    if (typeof localStorage === 'undefined') return fallback;  // Node.js
+    try {
+        const raw = localStorage.getItem(key);
+        return raw ? JSON.parse(raw) : fallback;
+    } catch (err) {
+        console.warn(`設定 ${key} を読み込めません:`, err);
+        return fallback;
+    }
+}
+
+function saveStoredJSON(key, value) {
+    if (typeof localStorage === 'undefined') return;  // Node.js では実行中だけ有効
+    localStorage.setItem(key, JSON.stringify(value));
+}
+
+// ============================================
+// CSV Parser
+// ============================================
+
+/**
+ * マルチライン引用符フィールドに対応したCSVパーサー
+ */
+function parseCSVRows(text) {
+    const rows = [];
+    let currentRow = [];
+    let currentField = '';
+    let inQuote = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+
+        if (inQuote) {
+            if (ch === '"') {
+                if (i + 1 < text.length && text[i + 1] === '"') {
+                    currentField += '"';
+                    i++;
+                } else {
+                    inQuote = false;
+                }
+            } else {
+                currentField += ch;
+            }
+        } else {
+            if (ch === '"') {
+                inQuote = true;
+            } else if (ch === ',') {
+                currentRow.push(currentField);
+                currentField = '';
+            } else if (ch === '\r') {
+                // skip
+            } else if (ch === '\n') {
+                currentRow.push(currentField);
+                currentField = '';
+                rows.push(currentRow);
+                currentRow = [];
+            } else {
+                currentField += ch;
+            }
+        }
+    }
+
+    // 最後の行
+    if (currentField !== '' || currentRow.length > 0) {
+        currentRow.push(currentField);
+        rows.push(currentRow);
+    }
+
+    return rows.filter(row => row.some(f => f.trim() !== ''));
+}
+
+/**
+ * CSVテキスト全体を解析
+ * メタデータ行 + マルチラインヘッダー + データ行
+ * headerStartIdx を省略した場合はヘッダー行を自動判定する
+ */
+function parseCSV(text, headerStartIdx = findHeaderLine(text.split(/\r?\n/))) {
+    // 全行を取得
+    const allLines = text.split(/\r?\n/);
+
+    if (headerStartIdx === -1 || headerStartIdx >= allLines.length) {
+        throw new Error('CSVのヘッダー行が見つかりません。');
+    }
+
+    const metadata = allLines.slice(0, headerStartIdx);
+
+    // ヘッダー行以降をマルチラインCSVとして解析
+    const remaining = allLines.slice(headerStartIdx).join('\n');
+    const allRows = parseCSVRows(remaining);
+
+    if (allRows.length < 2) {
+        throw new Error('データ行が見つかりません。');
+    }
+
+    // ヘッダー行のフィールド名を整理（改行を除去）
+    const rawHeader = allRows[0];
+    const header = rawHeader.map(h => h.replace(/\n/g, ''));
+
+    // データ行
+    const rows = allRows.slice(1);
+
+    return { metadata, header, rows, headerLine: headerStartIdx };
+}
+
+/**
+ * ヘッダー行の位置を推定する
+ * 1. JPX形式（「基準日」で始まる行）
+ * 2. 銘柄コードらしい見出しを含む行
+ * 3. 先頭付近で最も列数の多い行
+ */
+function findHeaderLine(allLines) {
+    const limit = Math.min(HEADER_SEARCH_LINES, allLines.length);
+
+    for (let i = 0; i < limit; i++) {
+        if (allLines[i].startsWith('基準日')) return i;
+    }
+
+    let widest = -1;
+    let widestCount = 1;
+    for (let i = 0; i < limit; i++) {
+        const cells = (parseCSVRows(allLines[i])[0] || []).map(c => c.trim());
+        if (cells.some(c => COLUMN_ROLE_PATTERNS.code.test(c))) return i;
+
+        const count = cells.filter(c => c !== '').length;
+        if (count > widestCount) {
+            widestCount = count;
+            widest = i;
+        }
+    }
+    return widest;
+}
+
+// ============================================
+// Column Schema
+// ============================================
+
+//
+// 入力ファイルの各列に役割を割り当てる
+//   code: 銘柄コード（1列のみ） / date: 取得基準日の候補 / name・market・remarks: 銘柄名・市場・備考
+//   pass: そのまま表示・出力する列 / ignore: 取り込まない列
+// 役割が ignore 以外の列は表示・出力の対象（元の列順）
+
+const COLUMN_ROLES = {
+    ignore: '取り込まない',
+    pass: 'そのまま出力',
+    code: '銘柄コード',
+    date: '日付',
+    name: '銘柄名',
+    market: '市場',
+    remarks: '備考',
+};
+
+// 見出しから役割を推定するためのパターン
+const COLUMN_ROLE_PATTERNS = {
+    code: /^(銘柄|証券)?コード$|銘柄コード|証券コード|^(code|ticker|symbol)$/i,
+    name: /銘柄名|銘柄略称|会社名|社名|^name$/i,
+    market: /市場|^market$/i,
+    remarks: /備考|摘要|^(remarks?|notes?)$/i,
+    date: /日付|基準日|確定日|最終日|権利落日|^(ex[-_ ]?)?date$/i,
+};
+
+/**
+ * 既知のレイアウト
+ */
+const KNOWN_LAYOUTS = [
+    {
+        id: 'jpx',
+        label: 'JPX 権利落銘柄一覧',
+        matches: (header) => header[0] === '基準日' && /コード/.test(header[4] || ''),
+        roles: ['date', 'date', 'date', 'date', 'code', 'name', 'market', 'remarks', 'pass'],
+        labels: [
+            '基準日', '(実質上)基準日', '権利落日(普通取引)',
+            '権利落日(その他の取引)', '銘柄コード', '銘柄略称',
+            '市場', '備考', '更新フラグ',
+        ],
+        columnIds: [
+            'recordDate', 'effectiveRecordDate', 'exDate', 'exDateOther',
+            'code', 'name', 'market', 'remarks', 'updateFlag',
+        ],
+        defaultDateCol: 2,
+        exDateCol: 2,
+    },
+];
+
+/**
+ * 見出しから各列の役割を推定する（銘柄コードは最初に一致した1列のみ）
+ */
+function guessColumnRoles(header) {
+    let hasCode = false;
+    return header.map(h => {
+        const label = h.trim();
+        if (!label) return 'ignore';
+        if (!hasCode && COLUMN_ROLE_PATTERNS.code.test(label)) {
+            hasCode = true;
+            return 'code';
+        }
+        for (const role of ['name', 'market', 'remarks', 'date']) {
+            if (COLUMN_ROLE_PATTERNS[role].test(label)) return role;
+        }
+        return 'pass';
+    });
+}
+
+/**
+ * 役割の割り当てからスキーマを組み立てる
+ */
+function buildSchema(header, roles, layout = null) {
+    const cols = (role) => roles.map((r, i) => r === role ? i : -1).filter(i => i >= 0);
+    const first = (role) => cols(role)[0] ?? null;
+
+    const codeCol = first('code');
+    const dateCols = cols('date');
+    if (codeCol === null) throw new Error('銘柄コード列が指定されていません。');
+    if (dateCols.length === 0) throw new Error('日付列が指定されていません。');
+
+    const labels = header.map((h, i) => layout?.labels?.[i] ?? (h.trim() || `列${i + 1}`));
+    const passThrough = roles.map((r, i) => r !== 'ignore' ? i : -1).filter(i => i >= 0);
+
+    return {
+        layoutId: layout ? layout.id : 'custom',
+        layoutLabel: layout ? layout.label : 'カスタム',
+        roles,
+        labels,
+        columnIds: labels.map((l, i) => layout?.columnIds?.[i] ?? `src:${l}`),
+        codeCol,
+        dateCols,
+        nameCol: first('name'),
+        marketCol: first('market'),
+        remarksCol: first('remarks'),
+        passThrough,
+        defaultDateCol: layout?.defaultDateCol ?? dateCols[0],
+        // 権利落ち後の分析に使う権利落日の列（なければ取得対象の日付を使う）
+        exDateCol: layout?.exDateCol ?? dateCols.find(i => /権利落日|^ex[-_ ]?date$/i.test(labels[i])) ?? null,
+    };
+}
+
+/**
+ * 見出し行から保存済み対応表を引くための署名
+ */
+function headerSignature(header) {
+    const text = header.map(h => h.trim()).join('\u0001');
+    let hash = 5381;
+    for (let i = 0; i < text.length; i++) {
+        hash = ((hash << 5) + hash + text.charCodeAt(i)) >>> 0;
+    }
+    return `${header.length}:${hash.toString(16)}`;
+}
+
+function loadColumnMappings() {
+    return loadStoredJSON(COLUMN_MAPPINGS_KEY, {});
+}
+
+/**
+ * 列の対応を保存する（自動判定時の見出し署名ごと）
+ */
+function saveColumnMapping(signature, mapping) {
+    const mappings = loadColumnMappings();
+    mappings[signature] = mapping;
+    saveStoredJSON(COLUMN_MAPPINGS_KEY, mappings);
+}
+
+/**
+ * 保存済みの対応 → 既知レイアウト → 見出しからの推定 の順に列の対応を決める
+ * 推定で銘柄コード・日付列が揃わない場合は null（対応付けダイアログで指定する）
+ * 戻り値: { headerLine, roles, layout }
+ */
+function resolveColumnMapping(parsed) {
+    const remembered = loadColumnMappings()[headerSignature(parsed.header)];
+    if (remembered) {
+        return { headerLine: remembered.headerLine, roles: remembered.roles, layout: null };
+    }
+
+    const layout = KNOWN_LAYOUTS.find(l => l.matches(parsed.header));
+    if (layout) {
+        return { headerLine: parsed.headerLine, roles: layout.roles, layout };
+    }
+
+    const roles = guessColumnRoles(parsed.header);
+    const codeCount = roles.filter(r => r === 'code').length;
+    const dateCount = roles.filter(r => r === 'date').length;
+    if (codeCount === 1 && dateCount >= 1) {
+        return { headerLine: parsed.headerLine, roles, layout: null };
+    }
+    return null;
+}
+
+/**
+ * 列の対応を適用した入力データを作る
+ * source: { sheets: { name: string|null, text: string }[] }
+ * 2枚目以降のシートは見出しの一致する列を1枚目の列位置に揃えて連結し、
+ * Excel 由来の行には取り込み元シート名の列を付ける
+ */
+function applyColumnMapping(source, mapping) {
+    const [first, ...others] = source.sheets;
+    const parsed = parseCSV(first.text, mapping.headerLine);
+    const roles = parsed.header.map((_, i) => mapping.roles[i] || 'ignore');
+    const tagSheets = first.name !== null;
+    const tag = (rows, sheetName) => tagSheets ? rows.map(r => [...r, sheetName]) : rows;
+
+    const headerKeys = parsed.header.map(h => h.trim());
+    let rows = tag(parsed.rows, first.name);
+    for (const sheet of others) {
+        const other = parseCSV(sheet.text);
+        const colMap = headerKeys.map(h => other.header.findIndex(oh => oh.trim() === h));
+        const codeIdx = roles.indexOf('code');
+        if (codeIdx >= 0 && colMap[codeIdx] === -1) {
+            throw new Error(`シート「${sheet.name}」に「${headerKeys[codeIdx]}」列がありません。`);
+        }
+        const aligned = other.rows.map(r => colMap.map(i => i >= 0 ? (r[i] ?? '') : ''));
+        rows = rows.concat(tag(aligned, sheet.name));
+    }
+    parsed.rows = rows;
+
+    if (tagSheets) {
+        parsed.header = [...parsed.header, SHEET_COLUMN_LABEL];
+        roles.push('pass');
+    }
+
+    parsed.schema = buildSchema(parsed.header, roles, mapping.layout);
+    normalizeDateColumns(parsed.rows, parsed.schema.dateCols);
+    return parsed;
+}
+
+/**
+ * 日付列の表記を YYYY/MM/DD に揃える
+ * （YYYY-M-D・YYYYMMDD・YYYY年M月D日・Excel シリアル値に対応。解釈できない値はそのまま）
+ */
+function normalizeDateColumns(rows, dateCols) {
+    for (const row of rows) {
+        for (const i of dateCols) {
+            if (row[i] !== undefined) row[i] = normalizeDateStr(row[i]);
+        }
+    }
+}
+
+function normalizeDateStr(value) {
+    const str = String(value).trim();
+    const ymd = (y, m, d) => `${y}/${String(m).padStart(2, '0')}/${String(d).padStart(2, '0')}`;
+
+    let m = str.match(/^(\d{4})[-/.年](\d{1,2})[-/.月](\d{1,2})日?$/);
+    if (m) return ymd(m[1], +m[2], +m[3]);
+
+    m = str.match(/^(\d{4})(\d{2})(\d{2})$/);
+    if (m) return ymd(m[1], +m[2], +m[3]);
+
+    // Excel シリアル値（1954年〜2119年の範囲のみ日付とみなす）
+    if (/^\d{5}(\.\d+)?$/.test(str) && +str >= 20000 && +str < 80000) {
+        const d = new Date(Date.UTC(1899, 11, 30) + Math.floor(+str) * 86400000);
+        return ymd(d.getUTCFullYear(), d.getUTCMonth() + 1, d.getUTCDate());
+    }
+    return value;
+}
+
+// ============================================
+// Stock Code Utilities
+// ============================================
+
+// 市場名から取引所サフィックスを決める（東証を含む重複上場は東証を優先）
+const MARKET_SUFFIXES = [
+    { suffix: '.T', pattern: /東証|東京|プライム|スタンダード|グロース|TOKYO PRO|ETF|ETN|REIT|インフラ/i },
+    { suffix: '.N', pattern: /名証|名古屋|メイン|ネクスト|プレミア/ },
+    { suffix: '.F', pattern: /福証|福岡|Q-Board/i },
+    { suffix: '.S', pattern: /札証|札幌|アンビシャス/ },
+];
+
+/**
+ * 銘柄コード列から Yahoo Finance 用ティッカーを生成
+ * 例: "82270 " → "8227.T"、市場が「名証メイン」なら "8227.N"
+ * 上書き表に登録されたコードはその値をそのまま使う
+ */
+function toTicker(rawCode, market = '') {
+    const code = rawCode.trim();
+    if (code.length < 4) return null;
+
+    const override = getTickerOverride(code);
+    if (override) return override;
+
+    // 先頭4文字（優先株などは5桁）を取得
+    const base = /^[0-9]{4}[1-9]$/.test(code) ? code : code.substring(0, 4);
+
+    // 英数字のみで構成されているか確認
+    if (!/^[A-Za-z0-9]+$/.test(base)) return null;
+
+    const marketText = (market || '').trim();
+    const entry = MARKET_SUFFIXES.find(m => m.pattern.test(marketText));
+    return base.toUpperCase() + (entry ? entry.suffix : '.T');
+}
+
+/**
+ * データ行のティッカー（市場列があれば市場を考慮する）
+ */
+function resolveRowTicker(row) {
+    const { codeCol, marketCol } = parsedData.schema;
+    const rawCode = row[codeCol] || '';
+    return rawCode.trim() ? toTicker(rawCode, marketCol !== null ? row[marketCol] : '') : null;
+}
+
+/**
+ * 結果の格納キー（同じ銘柄でも日付ごとに別の結果を持つ）
+ */
+function priceKey(code, date) {
+    return `${code.trim()}|${(date || '').trim()}`;
+}
+
+/**
+ * データからユニークな（銘柄コード, 日付）の組を取得
+ */
+function getUniqueStocks(rows, codeColIdx, dateColIdx) {
+    const seen = new Map(); // priceKey → { key, ticker, date, exDate, rawCode }
+
+    for (const row of rows) {
+        const stock = stockFromRow(row, codeColIdx, dateColIdx);
+        if (!stock || seen.has(stock.key)) continue;
+        seen.set(stock.key, stock);
+    }
+
+    return Array.from(seen.values());
+}
+
+/**
+ * データ行から取得対象 { key, ticker, date, exDate, rawCode } を作る（コードが空なら null）
+ */
+function stockFromRow(row, codeColIdx, dateColIdx) {
+    if (row.length <= codeColIdx) return null;
+    const rawCode = row[codeColIdx];
+    const code = rawCode.trim();
+    if (!code) return null;
+
+    const date = (row[dateColIdx] || '').trim();
+    const exDateCol = parsedData?.schema.exDateCol ?? null;
+    const exDate = (exDateCol !== null && (row[exDateCol] || '').trim()) || date;
+    const marketCol = parsedData?.schema.marketCol ?? null;
+    const ticker = toTicker(rawCode, marketCol !== null ? row[marketCol] : '');
+    return { key: priceKey(code, date), ticker, date, exDate, rawCode: code };
+}
+
+/**
+ * データ行に対応する取得結果
+ */
+function getPriceDataForRow(row) {
+    return closingPrices[rowPriceKey(row)];
+}
+
+/**
+ * データ行の結果格納キー
+ */
+function rowPriceKey(row) {
+    return priceKey(row[parsedData.schema.codeCol] || '', row[priceDateColIdx] || '');
+}
+
+// ============================================
+// Ticker Overrides
+// ============================================
+
+/**
+ * 銘柄コードに対する上書き指定（5桁コードは先頭4桁でも引く）
+ */
+function getTickerOverride(rawCode) {
+    const code = rawCode.trim();
+    return tickerOverrides[code] || tickerOverrides[code.substring(0, 4)] || null;
+}
+
+/**
+ * 上書き表のテキスト（1行に「銘柄コード シンボル」）を解析する
+ * 区切りは空白・カンマ・= のいずれか。解釈できない行は errors に行番号を返す
+ */
+function parseTickerOverrides(text) {
+    const overrides = {};
+    const errors = [];
+    text.split(/\r?\n/).forEach((line, i) => {
+        const trimmed = line.trim();
+        if (!trimmed || trimmed.startsWith('#')) return;
+        const parts = trimmed.split(/[\s,=]+/);
+        if (parts.length !== 2 || !parts[0] || !parts[1]) {
+            errors.push(i + 1);
+            return;
+        }
+        overrides[parts[0]] = parts[1].toUpperCase();
+    });
+    return { overrides, errors };
+}
+
+function formatTickerOverrides(overrides) {
+    return Object.entries(overrides).map(([code, symbol]) => `${code} ${symbol}`).join('\n');
+}
+
+function saveTickerOverrides(overrides) {
+    tickerOverrides = overrides;
+    saveStoredJSON(TICKER_OVERRIDES_KEY, overrides);
+}
+
+// ============================================
+// Price Data Providers
+// ============================================
+//
+// 各プロバイダーは fetchChart(ticker, startTs, endTs) を実装し、
+// 以下の正規化済みチャートデータを返す（取得失敗時は Error を投げる）
+// {
+//   timestamps: number[],                       // UNIX秒
+//   opens, highs, lows, closes, volumes: (number|null)[],
+//   dividends: { ts: number, amount: number }[],
+//   splits: { ts: number, numerator: number, denominator: number }[]
+// }
+//
+// splitAdjusted が true のプロバイダーは分割調整済みの価格を返す。
+// false の場合は splits をもとに fetchClosingPrice 側で調整する。
+// 分割イベントを返さないプロバイダーは splitEvents: false とする（キャッシュの取り直しの判断に使う）
+//
+// 分足を提供するプロバイダーは intradayIntervals（細かい順の { interval, maxAgeDays }）と
+// fetchIntraday(ticker, startTs, endTs, interval) も実装する（戻り値は同じ形式）
+//
+// Yahoo・Stooq とも配当・出来高まで返す複数銘柄の取得 API はない（Yahoo の spark API は終値のみ）ので、
+// 取得は常に1銘柄ずつ行う
+
+/**
+ * CORSプロキシ経由でURLを取得する
+ */
+async function fetchViaProxy(url, accept = 'application/json') {
+    let response;
+    if (fixtureSession?.mode === 'replay') {
+        response = replayFixtureResponse(url);
+    } else {
+        response = await fetch(`${proxyUrl}${encodeURIComponent(url)}`, {
+            headers: { 'Accept': accept }
+        });
+        if (fixtureSession?.mode === 'record') await recordFixtureResponse(url, response, accept);
+    }
+
+    if (!response.ok) {
+        const err = new Error(`HTTP ${response.status}`);
+        err.status = response.status;
+        throw err;
+    }
+    return response;
+}
+
+/**
+ * CORS プロキシの URL を保存する（空なら既定の corsproxy.io に戻す）
+ * 取得先 URL はエンコードして末尾に付けるので、通常は "?" で終わる形にする
+ */
+function saveProxyUrl(url) {
+    const trimmed = (url || '').trim();
+    if (trimmed && !/^https?:\/\/\S+$/i.test(trimmed)) {
+        throw new Error('http:// または https:// で始まる URL を指定してください。');
+    }
+    proxyUrl = trimmed || CORS_PROXY;
+    saveStoredJSON(PROXY_URL_KEY, trimmed || null);
+}
+
+/**
+ * 日付文字列（YYYY/MM/DD または YYYY-MM-DD）を UTC 0時の UNIX 秒に変換
+ */
+function dateStrToTs(dateStr) {
+    const m = String(dateStr).trim().match(/^(\d{4})[/-](\d{1,2})[/-](\d{1,2})/);
+    if (!m) return null;
+    return Math.floor(Date.UTC(+m[1], +m[2] - 1, +m[3]) / 1000);
+}
+
+/**
+ * 日付順に並んだバー配列から正規化済みチャートデータを組み立てる
+ */
+function buildChartFromBars(bars, dividends = [], splits = []) {
+    const sorted = [...bars].sort((a, b) => a.ts - b.ts);
+    const numOrNull = (v) => (v === null || v === undefined || v === '' || isNaN(v)) ? null : Number(v);
+    return {
+        timestamps: sorted.map(b => b.ts),
+        opens: sorted.map(b => numOrNull(b.open)),
+        highs: sorted.map(b => numOrNull(b.high)),
+        lows: sorted.map(b => numOrNull(b.low)),
+        closes: sorted.map(b => numOrNull(b.close)),
+        volumes: sorted.map(b => numOrNull(b.volume)),
+        dividends,
+        splits,
+    };
+}
+
+/**
+ * Yahoo Finance chart API
+ */
+const yahooProvider = {
+    id: 'yahoo',
+    label: 'Yahoo Finance',
+    splitAdjusted: true,
+
+    // 1分足は直近7日、5分足は直近60日まで取得できる
+    intradayIntervals: [
+        { interval: '1m', maxAgeDays: 7 },
+        { interval: '5m', maxAgeDays: 60 },
+    ],
+
+    async fetchChart(ticker, startTs, endTs) {
+        return this.requestChart(ticker, `period1=${startTs}&period2=${endTs}&interval=1d&events=div,split`);
+    },
+
+    async fetchIntraday(ticker, startTs, endTs, interval) {
+        return this.requestChart(ticker, `period1=${startTs}&period2=${endTs}&interval=${interval}`);
+    },
+
+    async requestChart(ticker, query) {
+        const apiUrl = `${YAHOO_API_BASE}${encodeURIComponent(ticker)}?${query}`;
+        const response = await fetchViaProxy(apiUrl);
+        const data = await response.json();
+
+        if (!data.chart || !data.chart.result || data.chart.result.length === 0) {
+            throw new Error('データなし');
+        }
+
+        return parseYahooChartResult(data.chart.result[0]);
+    },
+};
+
+/**
+ * Yahoo の chart.result[0] を正規化済みチャートデータに変換
+ */
+function parseYahooChartResult(result) {
+    const quote = result.indicators?.quote?.[0] || {};
+    const timestamps = result.timestamp || [];
+    const pick = (arr) => timestamps.map((_, i) => (arr && arr[i] !== undefined) ? arr[i] : null);
+
+    const dividends = Object.entries(result.events?.dividends || {}).map(([ts, divData]) => ({
+        ts: parseInt(ts),
+        amount: divData.amount,
+    }));
+    const splits = Object.entries(result.events?.splits || {}).map(([ts, splitData]) => ({
+        ts: parseInt(ts),
+        numerator: splitData.numerator,
+        denominator: splitData.denominator,
+    }));
+
+    return {
+        timestamps,
+        opens: pick(quote.open),
+        highs: pick(quote.high),
+        lows: pick(quote.low),
+        closes: pick(quote.close),
+        volumes: pick(quote.volume),
+        dividends,
+        splits,
+    };
+}
+
+/**
+ * Stooq 日足CSV（Date,Open,High,Low,Close,Volume）
+ * 配当・分割イベントは提供されない（価格は分割調整済み）
+ */
+const stooqProvider = {
+    id: 'stooq',
+    label: 'Stooq (CSV)',
+    splitAdjusted: true,
+    splitEvents: false,
+
+    async fetchChart(ticker, startTs, endTs) {
+        // "8227.T" → "8227.jp"
+        const symbol = ticker.replace(/\.T$/i, '').toLowerCase() + '.jp';
+        const apiUrl = `${STOOQ_API_BASE}?s=${encodeURIComponent(symbol)}&d1=${tsToCompactDate(startTs)}&d2=${tsToCompactDate(endTs)}&i=d`;
+        const response = await fetchViaProxy(apiUrl, 'text/csv');
+        const text = await response.text();
+
+        const rows = parseCSVRows(text);
+        if (rows.length < 2 || !/^date$/i.test((rows[0][0] || '').trim())) {
+            throw new Error('データなし');
+        }
+
+        const cols = rows[0].map(h => h.trim().toLowerCase());
+        const idx = (name) => cols.indexOf(name);
+        const bars = rows.slice(1).map(r => ({
+            ts: dateStrToTs(r[idx('date')]),
+            open: r[idx('open')],
+            high: r[idx('high')],
+            low: r[idx('low')],
+            close: r[idx('close')],
+            volume: idx('volume') >= 0 ? r[idx('volume')] : null,
+        })).filter(b => b.ts !== null);
+
+        return buildChartFromBars(bars);
+    },
+};
+
+function tsToCompactDate(ts) {
+    const d = new Date(ts * 1000);
+    return `${d.getUTCFullYear()}${String(d.getUTCMonth() + 1).padStart(2, '0')}${String(d.getUTCDate()).padStart(2, '0')}`;
+}
+
+/**
+ * ローカル価格ファイル（社内データウェアハウスからのエクスポート）
+ * JSON: [{ ticker, date, open, high, low, close, volume, dividend, split }, ...]
+ * CSV : ticker,date,open,high,low,close,volume,dividend,split（ヘッダー行必須、split は省略可）
+ * dividend 列に値がある日を配当イベント、split 列（"2:1" や "2" の分割比率）に値がある日を分割イベントとして扱う
+ * 価格は分割調整前の実値とみなす
+ */
+const localFileProvider = {
+    id: 'local',
+    label: 'ローカル価格ファイル',
+    cacheable: false,   // 手元のファイルが正なのでキャッシュしない
+    splitAdjusted: false,
+    records: null,      // Map: ticker → record[]
+    fileName: null,
+
+    load(text, fileName) {
+        this.records = parseLocalPriceFile(text, fileName);
+        this.fileName = fileName;
+        return this.records.size;
+    },
+
+    async fetchChart(ticker, startTs, endTs) {
+        if (!this.records) {
+            throw new Error('価格ファイル未読込');
+        }
+
+        // "8227.T" と "8227" のどちらの表記でも引けるようにする
+        const list = this.records.get(ticker) || this.records.get(ticker.replace(/\.[A-Z]+$/i, ''));
+        if (!list) {
+            throw new Error('データなし');
+        }
+
+        const inRange = list.filter(r => r.ts >= startTs && r.ts <= endTs);
+        const dividends = inRange
+            .filter(r => r.dividend !== null && r.dividend !== '' && !isNaN(r.dividend))
+            .map(r => ({ ts: r.ts, amount: Number(r.dividend) }));
+        const splits = inRange
+            .map(r => ({ ts: r.ts, ...parseSplitRatio(r.split) }))
+            .filter(s => s.numerator !== undefined);
+
+        return buildChartFromBars(inRange, dividends, splits);
+    },
+};
+
+/**
+ * ローカル価格ファイルを解析して ticker ごとのレコードに分ける
+ */
+function parseLocalPriceFile(text, fileName) {
+    let records;
+
+    if (/\.json$/i.test(fileName)) {
+        const data = JSON.parse(text);
+        if (!Array.isArray(data)) {
+            throw new Error('JSONはレコードの配列である必要があります。');
+        }
+        records = data;
+    } else {
+        const rows = parseCSVRows(text.replace(/^\uFEFF/, ''));
+        if (rows.length < 2) {
+            throw new Error('データ行が見つかりません。');
+        }
+        const cols = rows[0].map(h => h.trim().toLowerCase());
+        records = rows.slice(1).map(r => {
+            const rec = {};
+            cols.forEach((c, i) => { rec[c] = (r[i] ?? '').trim(); });
+            return rec;
+        });
+    }
+
+    const byTicker = new Map();
+    for (const rec of records) {
+        const ticker = String(rec.ticker ?? rec.code ?? '').trim();
+        const ts = dateStrToTs(rec.date ?? '');
+        if (!ticker || ts === null) continue;
+
+        if (!byTicker.has(ticker)) byTicker.set(ticker, []);
+        byTicker.get(ticker).push({
+            ts,
+            open: rec.open ?? null,
+            high: rec.high ?? null,
+            low: rec.low ?? null,
+            close: rec.close ?? null,
+            volume: rec.volume ?? null,
+            dividend: rec.dividend ?? null,
+            split: rec.split ?? null,
+        });
+    }
+
+    if (byTicker.size === 0) {
+        throw new Error('ticker・date 列を持つレコードが見つかりません。');
+    }
+    return byTicker;
+}
+
+/**
+ * 分割比率（"2:1"・"1/2" や 2 のような数値）を { numerator, denominator } にする（不正・空なら {}）
+ */
+function parseSplitRatio(value) {
+    if (value === null || value === undefined || value === '') return {};
+    const m = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*(?:[:/]\s*(\d+(?:\.\d+)?))?$/);
+    if (!m) return {};
+    const numerator = Number(m[1]);
+    const denominator = m[2] !== undefined ? Number(m[2]) : 1;
+    if (!(numerator > 0) || !(denominator > 0) || numerator === denominator) return {};
+    return { numerator, denominator };
+}
+
+const PRICE_PROVIDERS = {
+    [yahooProvider.id]: yahooProvider,
+    [stooqProvider.id]: stooqProvider,
+    [localFileProvider.id]: localFileProvider,
+};
+
+// ============================================
+// Fixture Record / Replay
+// ============================================
+//
+// 記録中は fetchViaProxy が受け取った応答をすべて保存し、再生中は同じ URL の要求に保存した応答を返す
+// （ネットワークには出ないので、同じ入力なら同じ結果になる）
+// バンドル: { format: 'owarine-fixtures', version, recordedAt, responses: [{ url, status, contentType, body }] }
+// url はプロキシを付ける前の取得先 URL。同じ URL は最後の応答（再試行で成功した応答）を残す
+
+function startFixtureRecording() {
+    fixtureSession = { mode: 'record', recordedAt: new Date().toISOString(), responses: new Map() };
+}
+
+/**
+ * バンドル（JSON 文字列）を読み込んで再生を始める。収録している応答の数を返す
+ */
+function startFixtureReplay(text) {
+    const bundle = JSON.parse(text);
+    if (bundle?.format !== FIXTURE_FORMAT || !Array.isArray(bundle.responses)) {
+        throw new Error('フィクスチャバンドルの形式ではありません。');
+    }
+    if (bundle.version > FIXTURE_VERSION) {
+        throw new Error(`バージョン ${bundle.version} のバンドルには対応していません。`);
+    }
+
+    fixtureSession = {
+        mode: 'replay',
+        recordedAt: bundle.recordedAt,
+        responses: new Map(bundle.responses.map(r => [r.url, r])),
+    };
+    return fixtureSession.responses.size;
+}
+
+function stopFixtureSession() {
+    fixtureSession = null;
+}
+
+function getFixtureStatus() {
+    return fixtureSession && { mode: fixtureSession.mode, count: fixtureSession.responses.size };
+}
+
+/**
+ * 記録した応答をバンドル（JSON 文字列）にする。差分を見やすいよう URL 順に並べる
+ */
+function serializeFixtureBundle() {
+    const responses = Array.from(fixtureSession.responses.values())
+        .sort((a, b) => a.url < b.url ? -1 : a.url > b.url ? 1 : 0);
+    return JSON.stringify({
+        format: FIXTURE_FORMAT,
+        version: FIXTURE_VERSION,
+        recordedAt: fixtureSession.recordedAt,
+        responses,
+    }, null, 2);
+}
+
+async function recordFixtureResponse(url, response, accept) {
+    fixtureSession.responses.set(url, {
+        url,
+        status: response.status,
+        contentType: response.headers.get('Content-Type') || accept,
+        body: await response.clone().text(),
+    });
+}
+
+function replayFixtureResponse(url) {
+    const recorded = fixtureSession.responses.get(url);
+    if (!recorded) {
+        throw new Error('記録にない要求');
+    }
+    return new Response(recorded.body, {
+        status: recorded.status,
+        headers: { 'Content-Type': recorded.contentType },
+    });
+}
+
+/**
+ * 現在時刻（ミリ秒）。再生中は記録した時刻を返し、分足の取得可否など時刻で変わる判断を記録時と揃える
+ */
+function fixtureNow() {
+    return fixtureSession?.mode === 'replay' ? Date.parse(fixtureSession.recordedAt) : Date.now();
+}
+
+// ============================================
+// Price Cache (IndexedDB)
+// ============================================
+
+//
+// プロバイダー・ティッカーごとに日足バーと配当/分割イベントを保存する
+// ranges は取得済みの期間 [startTs, endTs] のリスト（重複なし・昇順）
+
+/**
+ * キャッシュDBを開く（同一セッション内では使い回す）
+ */
+let cacheDBPromise = null;
+function openCacheDB() {
+    if (typeof indexedDB === 'undefined') return Promise.resolve(null);
+    if (cacheDBPromise) return cacheDBPromise;
+
+    cacheDBPromise = new Promise((resolve) => {
+        const req = indexedDB.open(CACHE_DB_NAME, 1);
+        req.onupgradeneeded = () => {
+            req.result.createObjectStore(CACHE_STORE, { keyPath: 'key' });
+        };
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => {
+            // プライベートブラウズ等で使えない場合はキャッシュなしで動作
+            console.warn('IndexedDB を開けません:', req.error);
+            resolve(null);
+        };
+    });
+    return cacheDBPromise;
+}
+
+function idbRequest(req) {
+    return new Promise((resolve, reject) => {
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+    });
+}
+
+async function cacheStore(mode) {
+    const db = await openCacheDB();
+    return db ? db.transaction(CACHE_STORE, mode).objectStore(CACHE_STORE) : null;
+}
+
+/**
+ * 期間 [startTs, endTs] のうち ranges でカバーされていない部分を返す
+ */
+function subtractRanges(startTs, endTs, ranges) {
+    const missing = [];
+    let cursor = startTs;
+    for (const [from, to] of ranges) {
+        if (to < cursor) continue;
+        if (from > endTs) break;
+        if (from > cursor) missing.push([cursor, from - 1]);
+        cursor = Math.max(cursor, to + 1);
+    }
+    if (cursor <= endTs) missing.push([cursor, endTs]);
+    return missing;
+}
+
+/**
+ * 期間リストに1区間を追加して結合する
+ */
+function mergeRanges(ranges, range) {
+    const all = [...ranges, range].sort((a, b) => a[0] - b[0]);
+    const merged = [];
+    for (const [from, to] of all) {
+        const last = merged[merged.length - 1];
+        if (last && from <= last[1] + 1) {
+            last[1] = Math.max(last[1], to);
+        } else {
+            merged.push([from, to]);
+        }
+    }
+    return merged;
+}
+
+/**
+ * 取得したチャートをキャッシュレコードにマージする（同じタイムスタンプは上書き）
+ */
+function mergeChartIntoRecord(record, chart) {
+    const bars = new Map(record.bars.map(b => [b.ts, b]));
+    chart.timestamps.forEach((ts, i) => {
+        bars.set(ts, {
+            ts,
+            open: chart.opens[i],
+            high: chart.highs[i],
+            low: chart.lows[i],
+            close: chart.closes[i],
+            volume: chart.volumes[i],
+        });
+    });
+    record.bars = Array.from(bars.values()).sort((a, b) => a.ts - b.ts);
+
+    const byTs = (list, extra) => Array.from(new Map([...list, ...extra].map(e => [e.ts, e])).values())
+        .sort((a, b) => a.ts - b.ts);
+    record.dividends = byTs(record.dividends, chart.dividends);
+    record.splits = byTs(record.splits, chart.splits);
+}
+
+/**
+ * キャッシュを介してチャートを取得する
+ * 未取得の期間だけをプロバイダーに問い合わせ、結果をキャッシュに保存する
+ * useCache が false、または記録・再生中なら常にプロバイダーから取得する
+ */
+async function fetchChartCached(provider, ticker, startTs, endTs, useCache = true) {
+    const store = await chartCacheStore(provider, useCache);
+    if (!store) return provider.fetchChart(ticker, startTs, endTs);
+
+    const [record] = await loadCacheRecords(store, provider, [ticker]);
+    let missing = subtractRanges(startTs, endTs, record.ranges);
+
+    // 分割イベントを返さないプロバイダーでは保存後の分割に気づけないので、
+    // 前日までに保存したレコードには足さずに要求の期間全体を取り直す
+    if (missing.length > 0 && provider.splitEvents === false && record.updatedAt < startOfTodayMs()) {
+        clearCacheRecord(record);
+        missing = [[startTs, endTs]];
+    }
+
+    if (missing.length > 0) {
+        for (let [from, to] of missing) {
+            // 祝日だけの短い区間で「データなし」にならないよう最低幅を確保する
+            if (to - from < CACHE_MIN_FETCH_SPAN) from = to - CACHE_MIN_FETCH_SPAN;
+
+            const reset = addChartToRecord(record, await provider.fetchChart(ticker, from, to), from, to);
+            if (reset && (from > startTs || to < endTs)) {
+                // 保存済みの期間を捨てたので、要求の期間全体を取り直す
+                addChartToRecord(record, await provider.fetchChart(ticker, startTs, endTs), startTs, endTs);
+                break;
+            }
+        }
+
+        const writeStore = await cacheStore('readwrite');
+        await idbRequest(writeStore.put(record));
+    }
+
+    return chartFromRecord(record, startTs, endTs);
+}
+
+/**
+ * キャッシュを使う場合は読み取り用のストア、使わない場合は null
+ * 記録・再生中は全要求をプロバイダーに通すので使わない
+ */
+async function chartCacheStore(provider, useCache) {
+    return (useCache && !fixtureSession && provider.cacheable !== false) ? cacheStore('readonly') : null;
+}
+
+/**
+ * 銘柄ごとのキャッシュレコード（ない場合は空のレコード）を tickers の順に返す
+ */
+async function loadCacheRecords(store, provider, tickers) {
+    const keys = tickers.map(ticker => `${provider.id}:${ticker}`);
+    const cached = await Promise.all(keys.map(key => idbRequest(store.get(key))));
+    // 旧バージョンのレコード（分割イベントなし）は取り直す
+    return cached.map((record, i) => (record && record.version === CACHE_RECORD_VERSION) ? record :
+        { key: keys[i], version: CACHE_RECORD_VERSION, providerId: provider.id, ticker: tickers[i], bars: [], dividends: [], splits: [], ranges: [] });
+}
+
+/**
+ * 期間 [from, to] について取得したチャートをレコードに加える
+ * レコードにない分割が見つかった場合は保存済みのデータを捨ててから加え、true を返す
+ * （分割調整済みの価格と、保存済みの分割前の価格を混ぜないため）
+ */
+function addChartToRecord(record, chart, from, to) {
+    // 当日以降はまだ確定していないので取得済み扱いにしない
+    const todayTs = startOfTodayMs() / 1000;
+
+    const reset = hasUnseenSplit(record, chart);
+    if (reset) clearCacheRecord(record);
+
+    mergeChartIntoRecord(record, chart);
+    if (from < todayTs) {
+        record.ranges = mergeRanges(record.ranges, [from, Math.min(to, todayTs - 1)]);
+    }
+    record.updatedAt = Date.now();
+    return reset;
+}
+
+/**
+ * 保存済みのバーより後の日付で、レコードにまだない分割がチャートにあるか
+ */
+function hasUnseenSplit(record, chart) {
+    if (record.bars.length === 0) return false;
+    const known = new Set(record.splits.map(s => s.ts));
+    return (chart.splits || []).some(s => !known.has(s.ts) && s.ts > record.bars[0].ts);
+}
+
+function clearCacheRecord(record) {
+    Object.assign(record, { bars: [], dividends: [], splits: [], ranges: [] });
+}
+
+function startOfTodayMs() {
+    return Math.floor(Date.now() / 86400000) * 86400000;
+}
+
+function chartFromRecord(record, startTs, endTs) {
+    const inRange = (e) => e.ts >= startTs && e.ts <= endTs;
+    return buildChartFromBars(
+        record.bars.filter(inRange),
+        record.dividends.filter(inRange),
+        record.splits.filter(inRange)
+    );
+}
+
+/**
+ * キャッシュの件数と概算サイズ（バイト）
+ */
+async function getPriceCacheStats() {
+    const store = await cacheStore('readonly');
+    if (!store) return null;
+
+    const records = await idbRequest(store.getAll());
+    const tickers = new Set(records.map(r => r.ticker));
+    const bytes = records.reduce((sum, r) => sum + JSON.stringify(r).length, 0);
+    return { tickers: tickers.size, entries: records.length, bytes };
+}
+
+/**
+ * 指定銘柄のキャッシュを全プロバイダー分削除する
+ * "8227" のようなコード指定の場合は "8227.T" 等の市場サフィックス付きも対象
+ */
+async function invalidateCachedTicker(codeOrTicker) {
+    const target = codeOrTicker.trim().toUpperCase();
+    if (!target) return 0;
+
+    const store = await cacheStore('readwrite');
+    if (!store) return 0;
+
+    const records = await idbRequest(store.getAll());
+    const victims = records.filter(r => {
+        const t = r.ticker.toUpperCase();
+        return t === target || t.startsWith(target + '.');
+    });
+    for (const r of victims) {
+        await idbRequest(store.delete(r.key));
+    }
+    return victims.length;
+}
+
+async function clearPriceCache() {
+    const store = await cacheStore('readwrite');
+    if (store) await idbRequest(store.clear());
+}
+
+// ============================================
+// Trading Calendar (JST)
+// ============================================
+//
+// 日付は JST の暦日を "YYYY/MM/DD" のキーで扱う。
+// 土日と休場日（祝日・年末年始）以外を取引日とする（半日取引はないものとして扱う）
+
+/**
+ * 日付文字列（YYYY/M/D・YYYY-MM-DD など）を "YYYY/MM/DD" に正規化する（解釈できなければ null）
+ */
+function normalizeDateKey(dateStr) {
+    const m = String(dateStr ?? '').trim().match(/^(\d{4})[/-](\d{1,2})[/-](\d{1,2})/);
+    if (!m) return null;
+    return `${m[1]}/${m[2].padStart(2, '0')}/${m[3].padStart(2, '0')}`;
+}
+
+/**
+ * UNIX 秒を JST の日付キーにする
+ */
+function jstDateKey(ts) {
+    const d = new Date((ts + JST_OFFSET_SEC) * 1000);
+    return `${d.getUTCFullYear()}/${String(d.getUTCMonth() + 1).padStart(2, '0')}/${String(d.getUTCDate()).padStart(2, '0')}`;
+}
+
+/**
+ * 日付キーの JST 0時の UNIX 秒
+ */
+function jstMidnightTs(dateKey) {
+    return dateStrToTs(dateKey) - JST_OFFSET_SEC;
+}
+
+function shiftDateKey(dateKey, days) {
+    return jstDateKey(jstMidnightTs(dateKey) + days * 86400);
+}
+
+function isTradingDay(dateKey) {
+    const weekday = new Date(dateStrToTs(dateKey) * 1000).getUTCDay();
+    return weekday !== 0 && weekday !== 6 && !marketHolidays.has(dateKey);
+}
+
+/**
+ * 指定日から step 方向（1: 後, -1: 前）に最も近い取引日（指定日を含む）
+ */
+function findTradingDay(dateKey, step) {
+    let key = dateKey;
+    // 連休でも2週間以上休場が続くことはない
+    for (let i = 0; i < 14; i++) {
+        if (isTradingDay(key)) return key;
+        key = shiftDateKey(key, step);
+    }
+    return key;
+}
+
+/**
+ * 権利落日（休場なら翌取引日）と権利付最終日（その前の取引日）
+ */
+function resolveExSessions(exDateKey) {
+    const exDate = findTradingDay(exDateKey, 1);
+    const cumDate = findTradingDay(shiftDateKey(exDate, -1), -1);
+    return { exDate, cumDate };
+}
+
+/**
+ * 休場日の一覧テキスト（1行に1日付）を解析する。解釈できない行は errors に行番号を返す
+ * CSV の場合は各行の先頭列を日付として読む
+ */
+function parseMarketHolidays(text) {
+    const holidays = new Set();
+    const errors = [];
+    text.split(/\r?\n/).forEach((line, i) => {
+        const trimmed = line.replace(/^\uFEFF/, '').trim();
+        if (!trimmed || trimmed.startsWith('#')) return;
+        const key = normalizeDateKey(trimmed.split(/[,\t]/)[0]);
+        if (key) {
+            holidays.add(key);
+        } else if (i > 0 || /\d/.test(trimmed)) {
+            // 先頭行の見出しは無視する
+            errors.push(i + 1);
+        }
+    });
+    return { holidays: Array.from(holidays).sort(), errors };
+}
+
+function saveMarketHolidays(holidays) {
+    marketHolidays = new Set(holidays);
+    saveStoredJSON(MARKET_HOLIDAYS_KEY, holidays);
+}
+
+// ============================================
+// Price Analysis
+// ============================================
+
+/**
+ * タイムスタンプ配列から、指定タイムスタンプに最も近い（以前の）終値とインデックスを探す
+ */
+function findClosestPriceWithIndex(timestamps, closes, targetTs) {
+    let bestIdx = -1;
+    let bestDiff = Infinity;
+
+    // 対象日以前で最も近いデータを優先
+    for (let i = 0; i < timestamps.length; i++) {
+        if (closes[i] === null) continue;
+        const diff = targetTs - timestamps[i];
+        if (diff >= 0 && diff < bestDiff) {
+            bestDiff = diff;
+            bestIdx = i;
+        }
+    }
+
+    // 対象日以前にない場合、以降の最も近いデータ
+    if (bestIdx === -1) {
+        for (let i = 0; i < timestamps.length; i++) {
+            if (closes[i] === null) continue;
+            const diff = Math.abs(targetTs - timestamps[i]);
+            if (diff < bestDiff) {
+                bestDiff = diff;
+                bestIdx = i;
+            }
+        }
+    }
+
+    return { price: bestIdx >= 0 ? closes[bestIdx] : null, index: bestIdx };
+}
+
+/**
+ * 後方互換用ラッパー
+ */
+function findClosestPrice(timestamps, closes, targetTs) {
+    return findClosestPriceWithIndex(timestamps, closes, targetTs).price;
+}
+
+/**
+ * 分割調整前のチャートを分割調整する
+ * 分割日より前の価格・配当金を分割比率で割り、出来高を掛ける（直近の株数基準にそろえる）
+ */
+function applySplitAdjustment(chart) {
+    if (chart.splits.length === 0) return chart;
+
+    // 各時点以降に起きた分割の累積比率
+    const factorAt = (ts) => chart.splits
+        .filter(s => s.ts > ts)
+        .reduce((f, s) => f * s.numerator / s.denominator, 1);
+    const adjust = (arr, op) => arr.map((v, i) => v === null ? null : op(v, factorAt(chart.timestamps[i])));
+    const div = (v, f) => v / f;
+
+    return {
+        ...chart,
+        opens: adjust(chart.opens, div),
+        highs: adjust(chart.highs, div),
+        lows: adjust(chart.lows, div),
+        closes: adjust(chart.closes, div),
+        volumes: adjust(chart.volumes, (v, f) => v * f),
+        dividends: chart.dividends.map(d => ({ ...d, amount: d.amount / factorAt(d.ts) })),
+    };
+}
+
+// 備考から読み取るコーポレートアクション（配当以外の権利・株数の変動）
+const CORPORATE_ACTION_PATTERNS = [
+    { label: '株式分割', pattern: /株式分割|分割/ },
+    { label: '株式併合', pattern: /株式併合|併合/ },
+    { label: '株主優待', pattern: /株主優待|優待/ },
+    { label: '無償割当', pattern: /無償割当/ },
+];
+
+/**
+ * データ行の備考に該当するコーポレートアクション名（該当なしは空配列）
+ */
+function getCorporateActions(row) {
+    const remarksCol = parsedData?.schema.remarksCol ?? null;
+    const remarks = remarksCol !== null ? (row[remarksCol] || '') : '';
+    return CORPORATE_ACTION_PATTERNS.filter(a => a.pattern.test(remarks)).map(a => a.label);
+}
+
+/**
+ * 行の注記（備考のコーポレートアクションと、取得期間内の分割）
+ */
+function getRowActionNotes(row, pd) {
+    const notes = getCorporateActions(row);
+    if (pd?.splitInWindow && !notes.includes('株式分割')) notes.push('期間内に分割');
+    return notes.length > 0 ? notes.join('・') : null;
+}
+
+/**
+ * baseIdx から n 取引日前の終値を取得する
+ * （nullでない終値のみをカウント）
+ */
+function findPriceNTradingDaysBack(closes, baseIdx, n) {
+    let count = 0;
+    for (let i = baseIdx - 1; i >= 0; i--) {
+        if (closes[i] === null) continue;
+        count++;
+        if (count === n) return closes[i];
+    }
+    return null;
+}
+
+/**
+ * baseIdx から n 取引日後の終値を取得する
+ * （nullでない終値のみをカウント）
+ */
+function findPriceNTradingDaysForward(closes, baseIdx, n) {
+    let count = 0;
+    for (let i = baseIdx + 1; i < closes.length; i++) {
+        if (closes[i] === null) continue;
+        count++;
+        if (count === n) return closes[i];
+    }
+    return null;
+}
+
+/**
+ * 権利落日・権利付最終日のセッションのバーを日付（JST）で引く
+ * そのセッションのバーがない場合（売買停止・データ欠け）は、権利落日はその後の最初のバー、
+ * 権利付最終日は権利落日より前の直近のバーを使い、notes に理由を残す（使えるバーがなければ -1）
+ * 戻り値: { exIdx, cumIdx, notes: string[] }
+ */
+function findExSessionBars(timestamps, closes, exSession, cumDate) {
+    const notes = [];
+    const findSession = (key) => timestamps.findIndex((ts, i) => jstDateKey(ts) === key && closes[i] !== null);
+
+    let exIdx = findSession(exSession);
+    if (exIdx === -1) {
+        const exTs = jstMidnightTs(exSession);
+        exIdx = timestamps.findIndex((ts, i) => ts >= exTs && closes[i] !== null);
+        if (exIdx === -1) return { exIdx: -1, cumIdx: -1, notes };
+        notes.push(`権利落日 ${exSession} のデータなし（${jstDateKey(timestamps[exIdx])} を使用）`);
+    }
+
+    let cumIdx = findSession(cumDate);
+    if (cumIdx === -1 || cumIdx >= exIdx) {
+        cumIdx = -1;
+        for (let i = exIdx - 1; i >= 0; i--) {
+            if (closes[i] !== null) {
+                cumIdx = i;
+                break;
+            }
+        }
+        if (cumIdx !== -1) notes.push(`権利付最終日 ${cumDate} のデータなし（${jstDateKey(timestamps[cumIdx])} を使用）`);
+    }
+    return { exIdx, cumIdx, notes };
+}
+
+/**
+ * 理論落値（権利付終値 - 配当金）と権利落日の実際の値動きの比較
+ * - 始値・終値乖離率: 権利落日の始値・終値の理論落値に対する変化率
+ * - 超過下落: 理論落値 - 権利落日終値（配当金を超えて下がった分。プラスが配当以上の下落）
+ * - 超過下落率: 超過下落の権利付終値に対する割合
+ */
+function calcExPriceMetrics(opens, closes, { exIdx, cumIdx }, dividend) {
+    const nullMetrics = { theoreticalPrice: null, exOpen: null, exClose: null, openVsTheoretical: null, closeVsTheoretical: null, excessDrop: null, excessDropRate: null };
+    if (dividend === null || exIdx === -1 || cumIdx === -1) return nullMetrics;
+
+    const cumClose = closes[cumIdx];
+
+    const theoretical = cumClose - dividend;
+    const exOpen = opens[exIdx] ?? null;
+    const exClose = closes[exIdx];
+    const excessDrop = theoretical - exClose;
+
+    const round1 = (v) => v !== null ? Math.round(v * 10) / 10 : null;
+    return {
+        theoreticalPrice: round1(theoretical),
+        exOpen: round1(exOpen),
+        exClose: round1(exClose),
+        openVsTheoretical: calcChangeRate(exOpen, theoretical),
+        closeVsTheoretical: calcChangeRate(exClose, theoretical),
+        excessDrop: round1(excessDrop),
+        excessDropRate: cumClose !== 0 ? Math.round(excessDrop / cumClose * 10000) / 100 : null,
+    };
+}
+
+/**
+ * 権利落ち後の値動き（exIdx・cumIdx は findExSessionBars の結果）
+ * - 権利付終値: 権利付最終日の終値
+ * - 権利落日騰落率: 権利落日の終値の権利付終値に対する変化率
+ * - 落後N日終値: 権利落日から N 取引日後の終値
+ * - 回復日数: 終値が権利付終値以上に戻るまでの取引日数（権利落日当日なら 0、期間内に戻らなければ null）
+ * - 最大下落率: 権利落日以降の最安終値の権利付終値に対する変化率（下がらなければ 0）
+ */
+function calcPostExMetrics(closes, { exIdx, cumIdx }) {
+    const nullMetrics = { cumClose: null, exChange: null, after1d: null, after5d: null, after10d: null, recoveryDays: null, maxDrawdown: null };
+    if (exIdx === -1 || cumIdx === -1) return nullMetrics;
+
+    const cumClose = closes[cumIdx];
+
+    let recoveryDays = null;
+    let minClose = Infinity;
+    let day = 0;
+    for (let i = exIdx; i < closes.length; i++) {
+        if (closes[i] === null) continue;
+        if (recoveryDays === null && closes[i] >= cumClose) recoveryDays = day;
+        minClose = Math.min(minClose, closes[i]);
+        day++;
+    }
+
+    const round1 = (v) => v !== null ? Math.round(v * 10) / 10 : null;
+    return {
+        cumClose: round1(cumClose),
+        exChange: calcChangeRate(closes[exIdx], cumClose),
+        after1d: round1(findPriceNTradingDaysForward(closes, exIdx, 1)),
+        after5d: round1(findPriceNTradingDaysForward(closes, exIdx, 5)),
+        after10d: round1(findPriceNTradingDaysForward(closes, exIdx, 10)),
+        recoveryDays,
+        maxDrawdown: Math.min(0, calcChangeRate(minClose, cumClose)),
+    };
+}
+
+// VWAP の算出方法（結果の vwapMethod）の表示名
+const VWAP_METHOD_LABELS = {
+    '1m': '1分足',
+    '5m': '5分足',
+    daily: '日足近似',
+};
+
+/**
+ * 分足から指定日（JST）の VWAP を計算する：Σ(典型価格 × 出来高) / Σ出来高
+ * プロバイダーが分足に対応していない・取得可能期間外・出来高がない場合は null
+ * 戻り値: { vwap: number, interval: string } | null
+ */
+async function fetchIntradayVwap(provider, ticker, barTs) {
+    if (!provider.fetchIntraday || !provider.intradayIntervals) return null;
+
+    // 日足のタイムスタンプから JST の当日 0時〜翌0時を求める
+    const dayStart = Math.floor((barTs + JST_OFFSET_SEC) / 86400) * 86400 - JST_OFFSET_SEC;
+    const ageDays = (fixtureNow() / 1000 - dayStart) / 86400;
+    const option = provider.intradayIntervals.find(o => ageDays <= o.maxAgeDays);
+    if (!option) return null;
+
+    const chart = await provider.fetchIntraday(ticker, dayStart, dayStart + 86400, option.interval);
+    let priceVolume = 0;
+    let totalVolume = 0;
+    for (let i = 0; i < chart.timestamps.length; i++) {
+        const close = chart.closes[i];
+        const volume = chart.volumes[i];
+        if (close === null || !volume) continue;
+        const high = chart.highs[i] ?? close;
+        const low = chart.lows[i] ?? close;
+        priceVolume += (high + low + close) / 3 * volume;
+        totalVolume += volume;
+    }
+
+    if (totalVolume === 0) return null;
+    return { vwap: priceVolume / totalVolume, interval: option.interval };
+}
+
+/**
+ * 変動率を計算 (%)：(現在値 - 過去値) / 過去値 * 100
+ */
+function calcChangeRate(currentPrice, pastPrice) {
+    if (currentPrice === null || pastPrice === null || pastPrice === 0) return null;
+    return Math.round((currentPrice - pastPrice) / pastPrice * 10000) / 100;
+}
+
+const NULL_PRICE_RESULT = {
+    price: null, dividend: null, actualDate: null, change1d: null, change7d: null, change14d: null, change30d: null, vwap: null, vwapDeviation: null, vwapMethod: null,
+    dateNote: null, cumDate: null, series: null,
+    cumClose: null, exChange: null, after1d: null, after5d: null, after10d: null, recoveryDays: null, maxDrawdown: null, splitInWindow: false,
+    theoreticalPrice: null, exOpen: null, exClose: null, openVsTheoretical: null, closeVsTheoretical: null, excessDrop: null, excessDropRate: null,
+    error: null,
+};
+
+/**
+ * 対象日より前に取得する暦日数（lookbackDays はユーザー定義指標に必要な取引日数）
+ */
+function lookbackCalendarDays(lookbackDays) {
+    return Math.max(LOOKBACK_MIN_DAYS, Math.ceil(lookbackDays * 1.5) + 10);
+}
+
+/**
+ * 対象日・権利落日から、基準にするセッションと取得する期間を決める（日付を解釈できなければ null）
+ * 同じ日付の銘柄は同じ期間を取得するので、この結果を共有する
+ */
+function resolveFetchWindow(targetDateStr, exDateStr = targetDateStr, lookbackDays = 0) {
+    const targetKey = normalizeDateKey(targetDateStr);
+    if (!targetKey) return null;
+
+    // 対象日は取引所カレンダーで当日（休場なら前取引日）のセッションに決める
+    // 権利落日は休場なら翌取引日、その前の取引日を権利付最終日とする
+    const session = findTradingDay(targetKey, -1);
+    const { exDate: exSession, cumDate } = resolveExSessions(normalizeDateKey(exDateStr) || targetKey);
+    const targetTs = jstMidnightTs(targetKey);
+    const exTs = jstMidnightTs(exSession);
+
+    // 対象日の45日前〜14日後のデータを取得（1ヶ月前比較のため広めに取得）
+    // 権利落ち後の回復を見るため、権利落日から POST_EX_WINDOW_DAYS 日後までは含める
+    // ユーザー定義指標で長い期間が必要な場合は取引日数の 1.5 倍 + 10 日さかのぼる
+    const days = lookbackCalendarDays(lookbackDays);
+    return {
+        targetKey,
+        session,
+        exSession,
+        cumDate,
+        targetTs,
+        startTs: Math.min(targetTs, exTs) - days * 86400,
+        endTs: Math.max(targetTs + 14 * 86400, exTs + POST_EX_WINDOW_DAYS * 86400),
+    };
+}
+
+/**
+ * 指定ティッカーの終値・配当金・株価変動率と権利落ち後の値動きを取得
+ * exDateStr は権利落日（省略時は対象日を権利落日とみなす）
+ * options.intradayVwap が true なら VWAP を分足から算出する（取得できなければ日足近似）
+ * options.lookbackDays はユーザー定義指標に必要な対象日以前の取引日数
+ * options.useCache が false なら価格キャッシュを使わない
+ * options.window は resolveFetchWindow の結果（同じ日付の銘柄で共有する場合に渡す）
+ * 結果の series には取得した日足（ユーザー定義指標・チャート用）を残す
+ */
+async function fetchClosingPrice(ticker, targetDateStr, provider = yahooProvider, exDateStr = targetDateStr, options = {}) {
+    if (!ticker) return { ...NULL_PRICE_RESULT, error: '無効なティッカー' };
+
+    const window = options.window || resolveFetchWindow(targetDateStr, exDateStr, options.lookbackDays);
+    if (!window) return { ...NULL_PRICE_RESULT, error: '無効な日付' };
+
+    try {
+        const rawChart = await fetchChartCached(provider, ticker, window.startTs, window.endTs, options.useCache !== false);
+        return await analyzeChart(rawChart, ticker, provider, window, options);
+    } catch (err) {
+        return failedPriceResult(err);
+    }
+}
+
+function failedPriceResult(err) {
+    return { ...NULL_PRICE_RESULT, error: err.message, retryable: isTransientError(err), rateLimited: err.status === 429 };
+}
+
+/**
+ * 取得したチャートから fetchClosingPrice の結果を計算する（options は fetchClosingPrice と同じ）
+ */
+async function analyzeChart(rawChart, ticker, provider, window, options = {}) {
+    const { targetKey, session, exSession, cumDate, targetTs } = window;
+
+    // 分割をまたぐ比較がずれないよう、調整前の価格を返すプロバイダーはここで分割調整する
+    const chart = provider.splitAdjusted === false ? applySplitAdjustment(rawChart) : rawChart;
+    const { timestamps, opens, closes, highs, lows, volumes } = chart;
+
+    if (timestamps.length === 0 || closes.length === 0) {
+        return { ...NULL_PRICE_RESULT, error: 'チャートデータなし' };
+    }
+
+    // 対象セッションのバーを日付で引く。ない場合（売買なし・カレンダーとの不一致）は直近の以前のバー
+    let baseIdx = timestamps.findIndex((ts, i) => jstDateKey(ts) === session && closes[i] !== null);
+    if (baseIdx === -1) {
+        baseIdx = findClosestPriceWithIndex(timestamps, closes, jstMidnightTs(session) + 86400 - 1).index;
+    }
+    const currentPrice = baseIdx >= 0 ? closes[baseIdx] : null;
+
+    if (currentPrice === null || baseIdx === -1) {
+        return { ...NULL_PRICE_RESULT, error: '有効な終値なし' };
+    }
+
+    // 要求した日付と実際に使ったバーの日付が違う場合は理由を残す（権利落日・権利付最終日も同様）
+    const formattedDate = jstDateKey(timestamps[baseIdx]);
+    const exBars = findExSessionBars(timestamps, closes, exSession, cumDate);
+    const dateNotes = [...exBars.notes];
+    if (formattedDate !== targetKey) {
+        dateNotes.unshift(formattedDate === session ? '休場日のため前取引日' : `${session} のデータなし`);
+    }
+
+    // 取引日ベースで過去の終値を探して変動率を計算（比較期間は CHANGE_LOOKBACKS）
+    const changes = {};
+    for (const { id, days } of CHANGE_LOOKBACKS) {
+        changes[id] = calcChangeRate(currentPrice, findPriceNTradingDaysBack(closes, baseIdx, days));
+    }
+
+    // VWAP計算：対象日当日のデータのみ使用
+    // 分足が取れればその出来高加重平均、取れなければ日足の TP=(H+L+C)/3 で近似する
+    let vwap = null;
+    let vwapDeviation = null;
+    let vwapMethod = null;
+    if (options.intradayVwap) {
+        try {
+            const intraday = await fetchIntradayVwap(provider, ticker, timestamps[baseIdx]);
+            if (intraday) {
+                vwap = Math.round(intraday.vwap * 10) / 10;
+                vwapMethod = intraday.interval;
+            }
+        } catch (err) {
+            // 分足が取れなくても日足近似で続行する（vwapMethod が 'daily' になる）
+        }
+    }
+    if (vwap === null && highs[baseIdx] != null && lows[baseIdx] != null && closes[baseIdx] !== null && volumes[baseIdx] != null && volumes[baseIdx] > 0) {
+        const tp = (highs[baseIdx] + lows[baseIdx] + closes[baseIdx]) / 3;
+        vwap = Math.round(tp * 10) / 10;
+        vwapMethod = 'daily';
+    }
+    if (vwap !== null) {
+        vwapDeviation = Math.round((currentPrice - vwap) / vwap * 10000) / 100;
+    }
+
+    // 配当金を取得（対象日に最も近い配当イベントを探す）
+    let dividendAmount = null;
+    let closestDivDiff = Infinity;
+    for (const div of chart.dividends) {
+        const diff = Math.abs(targetTs - div.ts);
+        if (diff < closestDivDiff) {
+            closestDivDiff = diff;
+            dividendAmount = div.amount;
+        }
+    }
+
+    return {
+        price: Math.round(currentPrice * 10) / 10,
+        dividend: dividendAmount !== null ? Math.round(dividendAmount * 100) / 100 : null,
+        actualDate: formattedDate,
+        dateNote: dateNotes.length > 0 ? dateNotes.join(' ／ ') : null,
+        cumDate,
+        ...changes,
+        vwap,
+        vwapDeviation,
+        vwapMethod,
+        splitInWindow: chart.splits.length > 0,
+        ...calcPostExMetrics(closes, exBars),
+        ...calcExPriceMetrics(opens, closes, exBars, dividendAmount),
+        series: { timestamps, opens, highs, lows, closes, volumes, baseIdx },
+        error: null
+    };
+}
+
+/**
+ * 再試行で回復しうるエラーか（HTTP 429 / 5xx / ネットワークエラー）
+ */
+function isTransientError(err) {
+    if (err.status) return err.status === 429 || err.status >= 500;
+    // fetch 自体の失敗（プロキシ不通・接続断）は TypeError になる
+    return err instanceof TypeError;
+}
+
+// ============================================
+// Fetch Scheduler
+// ============================================
+
+/**
+ * 再試行・バックオフ・一時停止・中止に対応した取得スケジューラー
+ * worker(task) は fetchClosingPrice と同じ形の結果を返す。
+ * retryable な結果は指数バックオフで再試行し、rateLimited（HTTP 429）を
+ * 受けたら同時実行数を半減、成功が続けば1ずつ戻す。
+ */
+function createFetchScheduler(options = {}) {
+    const opts = {
+        concurrency: FETCH_CONCURRENCY,
+        maxConcurrency: FETCH_MAX_CONCURRENCY,
+        startIntervalMs: FETCH_START_INTERVAL_MS,
+        maxRetries: FETCH_MAX_RETRIES,
+        retryBaseMs: FETCH_RETRY_BASE_MS,
+        ...options,
+    };
+
+    let concurrency = opts.concurrency;
+    let active = 0;
+    let successStreak = 0;
+    let lastStartAt = 0;
+    let cooldownUntil = 0;
+    let paused = false;
+    let cancelled = false;
+    let pausedAt = null;
+    let pausedMs = 0;
+    let startedAt = null;
+    let completed = 0;
+    let total = 0;
+
+    function onRateLimited(delay) {
+        concurrency = Math.max(1, Math.floor(concurrency / 2));
+        cooldownUntil = Math.max(cooldownUntil, Date.now() + delay);
+        successStreak = 0;
+    }
+
+    function onSuccess() {
+        successStreak++;
+        if (successStreak >= concurrency * 5 && concurrency < opts.maxConcurrency) {
+            concurrency++;
+            successStreak = 0;
+        }
+    }
+
+    /**
+     * 中止されていなければ ms 待つ（中止時は即座に戻る）
+     */
+    async function wait(ms) {
+        const until = Date.now() + ms;
+        while (!cancelled && Date.now() < until) {
+            await sleep(Math.min(FETCH_POLL_MS, until - Date.now()));
+        }
+    }
+
+    /**
+     * 次のタスクを開始してよくなるまで待ち、キューから取り出して返す
+     * （確認と取り出しを同期的に行い、別のレーンとの取り合いで空のキューから取り出さないようにする）
+     * 中止された場合やキューが空の場合は null
+     */
+    async function acquireSlot(queue) {
+        for (;;) {
+            if (cancelled || queue.length === 0) return null;
+            const now = Date.now();
+            const readyAt = Math.max(cooldownUntil, lastStartAt + opts.startIntervalMs);
+            if (!paused && active < concurrency) {
+                if (now >= readyAt) {
+                    lastStartAt = now;
+                    active++;
+                    return queue.shift();
+                }
+                await sleep(Math.min(FETCH_POLL_MS, readyAt - now));
+                continue;
+            }
+            await sleep(FETCH_POLL_MS);
+        }
+    }
+
+    async function runTask(task, worker) {
+        let result;
+        for (let attempt = 0; ; attempt++) {
+            result = await worker(task);
+            if (!result.retryable || attempt >= opts.maxRetries || cancelled) break;
+
+            const delay = opts.retryBaseMs * 2 ** attempt * (0.75 + Math.random() * 0.5);
+            if (result.rateLimited) onRateLimited(delay);
+            await wait(delay);
+        }
+        if (!result.error) onSuccess();
+        return result;
+    }
+
+    return {
+        /**
+         * tasks を順に処理し、1件終わるごとに onResult(task, result) を呼ぶ
+         * 戻り値: { cancelled: boolean, completed: number }
+         */
+        async run(tasks, worker, onResult) {
+            const queue = [...tasks];
+            total = tasks.length;
+            completed = 0;
+            startedAt = Date.now();
+
+            const lanes = Array.from({ length: opts.maxConcurrency }, async () => {
+                for (;;) {
+                    const task = await acquireSlot(queue);
+                    if (!task) break;
+                    try {
+                        const result = await runTask(task, worker);
+                        completed++;
+                        onResult(task, result);
+                    } finally {
+                        active--;
+                    }
+                }
+            });
+            await Promise.all(lanes);
+
+            return { cancelled, completed };
+        },
+
+        pause() {
+            if (paused || cancelled) return;
+            paused = true;
+            pausedAt = Date.now();
+        },
+
+        resume() {
+            if (!paused) return;
+            paused = false;
+            pausedMs += Date.now() - pausedAt;
+            pausedAt = null;
+        },
+
+        cancel() {
+            if (paused) this.resume();
+            cancelled = true;
+        },
+
+        isPaused() {
+            return paused;
+        },
+
+        getConcurrency() {
+            return concurrency;
+        },
+
+        /**
+         * これまでの処理速度から残り時間（ミリ秒）を見積もる。見積もれない場合は null
+         */
+        estimateRemainingMs() {
+            if (!startedAt || completed === 0) return null;
+            const elapsed = (pausedAt ?? Date.now()) - startedAt - pausedMs;
+            return elapsed / completed * (total - completed);
+        },
+    };
+}
+
+// ============================================
+// Batch Processing
+// ============================================
+
+/**
+ * 銘柄リストの終値を取得して closingPrices / errorMessages に反映する
+ * merge = true の場合は既存の結果を残し、対象銘柄の結果だけを差し替える（再取得用）
+ * options: { merge, scheduler, intradayVwap, useCache, onProgress(completed, total, stock) }
+ * 戻り値: スケジューラーの実行結果 { cancelled }
+ */
+async function fetchStockPrices(stocks, dateColIdx, provider, options = {}) {
+    if (options.merge) {
+        const keys = new Set(stocks.map(s => s.key));
+        errorMessages = errorMessages.filter(e => !keys.has(e.key));
+    } else {
+        closingPrices = {};
+        errorMessages = [];
+    }
+    priceDateColIdx = dateColIdx;
+
+    const fetchOptions = {
+        intradayVwap: !!options.intradayVwap,
+        useCache: options.useCache !== false,
+        lookbackDays: getRequiredLookbackDays(),
+    };
+    const scheduler = options.scheduler || createFetchScheduler();
+    let completed = 0;
+
+    const outcome = await scheduler.run(
+        buildFetchTasks(stocks, fetchOptions.lookbackDays),
+        ({ stock, window }) => fetchClosingPrice(stock.ticker, stock.date, provider, stock.exDate, { ...fetchOptions, window }),
+        ({ stock }, result) => {
+            closingPrices[stock.key] = result;
+
+            if (result.error) {
+                errorMessages.push({
+                    key: stock.key,
+                    code: stock.rawCode,
+                    date: stock.date,
+                    ticker: stock.ticker,
+                    error: result.error
+                });
+            }
+
+            completed++;
+            if (options.onProgress) options.onProgress(completed, stocks.length, stock);
+        }
+    );
+
+    lastRunInfo = {
+        dateColLabel: parsedData?.schema.labels[dateColIdx] ?? String(dateColIdx),
+        providerLabel: provider.label,
+        fetchedAt: new Date(),
+        // 再取得では残した結果の期間が短いことがあるので、短い方を記録する
+        lookbackDays: options.merge && lastRunInfo
+            ? Math.min(lastRunInfo.lookbackDays, fetchOptions.lookbackDays)
+            : fetchOptions.lookbackDays,
+    };
+    return outcome;
+}
+
+/**
+ * スケジューラーに渡すタスク（1銘柄1タスク）を作る
+ * 対象日・権利落日が同じ銘柄は取得期間を1回だけ計算して共有する
+ * 戻り値: { stock, window }[]
+ */
+function buildFetchTasks(stocks, lookbackDays) {
+    const windows = new Map();  // "対象日|権利落日" → resolveFetchWindow の結果
+    return stocks.map(stock => {
+        const key = `${stock.date}|${stock.exDate}`;
+        if (!windows.has(key)) windows.set(key, resolveFetchWindow(stock.date, stock.exDate, lookbackDays));
+        return { stock, window: windows.get(key) };
+    });
+}
+
+/**
+ * エラーになった銘柄を取り直すための取得対象（データ行から作り直し、権利落日やティッカーの上書きも反映する）
+ */
+function getFailedStocks() {
+    if (!parsedData) return [];
+    const failed = new Set(errorMessages.map(e => e.key));
+    const rows = parsedData.rows.filter(row => failed.has(rowPriceKey(row)));
+    return getUniqueStocks(rows, parsedData.schema.codeCol, priceDateColIdx);
+}
+
+/**
+ * 成功・取得不可・エラーの件数
+ */
+function getResultCounts() {
+    const results = Object.values(closingPrices);
+    return {
+        success: results.filter(v => v.price !== null).length,
+        na: results.filter(v => v.price === null).length,
+        error: errorMessages.length,
+    };
+}
+
+// ============================================
+// Table Filters
+// ============================================
+//
+// 絞り込み条件は呼び出し側（ブラウザ版ではプレビュー）が持ち、引数で渡す
+
+function emptyTableFilters() {
+    return {
+        search: '',         // 銘柄コード・銘柄名・ティッカーの部分一致
+        market: '',         // 市場の完全一致
+        remarks: '',        // 備考キーワード（空白・カンマ区切りのいずれかを含む）
+        yieldMin: null,
+        yieldMax: null,
+        changeId: 'change1d',
+        changeMin: null,
+        changeMax: null,
+        status: '',         // 'success' | 'na' | 'error' | 'pending'
+    };
+}
+
+function isFilterActive(f) {
+    return Boolean(f.search || f.market || f.remarks || f.status) ||
+        [f.yieldMin, f.yieldMax, f.changeMin, f.changeMax].some(v => v !== null);
+}
+
+/**
+ * 取得状態（成功・取得不可・エラー・未取得）
+ */
+function getRowFetchStatus(row) {
+    const pd = getPriceDataForRow(row);
+    if (!pd) return 'pending';
+    if (pd.error) return 'error';
+    return pd.price !== null ? 'success' : 'na';
+}
+
+/**
+ * 値が範囲内か（下限・上限は null なら無制限、値が欠損なら範囲指定時は対象外）
+ */
+function inRange(value, min, max) {
+    if (min === null && max === null) return true;
+    if (value === null || value === undefined) return false;
+    return (min === null || value >= min) && (max === null || value <= max);
+}
+
+function rowMatchesFilters(row, f) {
+    const { codeCol, nameCol, marketCol, remarksCol } = parsedData.schema;
+    const cell = (col) => col !== null ? (row[col] || '').trim() : '';
+
+    if (f.search) {
+        const query = f.search.toLowerCase();
+        const text = [cell(codeCol), cell(nameCol), resolveRowTicker(row) || ''].join(' ').toLowerCase();
+        if (!text.includes(query)) return false;
+    }
+    if (f.market && cell(marketCol) !== f.market) return false;
+    if (f.remarks) {
+        const remarks = cell(remarksCol);
+        const keywords = f.remarks.split(/[\s,、]+/).filter(k => k);
+        if (!keywords.some(k => remarks.includes(k))) return false;
+    }
+    if (f.status && getRowFetchStatus(row) !== f.status) return false;
+
+    const pd = getPriceDataForRow(row);
+    if (!inRange(calcDividendYield(pd, row), f.yieldMin, f.yieldMax)) return false;
+
+    const changeMetric = getMetrics().find(m => m.id === f.changeId);
+    if (changeMetric && !inRange(changeMetric.value(row, pd), f.changeMin, f.changeMax)) return false;
+
+    return true;
+}
+
+function getFilteredRows(rows, f) {
+    return isFilterActive(f) ? rows.filter(row => rowMatchesFilters(row, f)) : rows;
+}
+
+// ============================================
+// Statistics
+// ============================================
+
+/**
+ * 取得結果の集計（rows はプレビューの絞り込み後の行）
+ * - byMarket: 市場ごとの権利落日騰落率の平均・中央値
+ * - yieldBins: 配当利回りの分布（STATS_YIELD_BIN_WIDTH 刻み、最後の階級は上限なし）
+ * - 利回り・前日比の上位・下位 STATS_RANK_SIZE 銘柄
+ * - 配当金を超えて下落した銘柄（超過下落 > 0）の割合
+ */
+function computeStatistics(rows) {
+    const { codeCol, nameCol, marketCol } = parsedData.schema;
+    const cell = (row, col) => col !== null ? (row[col] || '').trim() : '';
+
+    const entries = rows.map(row => {
+        const pd = getPriceDataForRow(row);
+        return {
+            code: cell(row, codeCol),
+            name: cell(row, nameCol),
+            market: cell(row, marketCol) || '（不明）',
+            yield: calcDividendYield(pd, row),
+            change1d: pd?.change1d ?? null,
+            exChange: pd?.exChange ?? null,
+            excessDrop: pd?.excessDrop ?? null,
+        };
+    });
+
+    const markets = new Map();
+    for (const e of entries) {
+        if (e.exChange === null) continue;
+        if (!markets.has(e.market)) markets.set(e.market, []);
+        markets.get(e.market).push(e.exChange);
+    }
+    const byMarket = [...markets].map(([market, values]) => ({
+        market,
+        count: values.length,
+        mean: values.reduce((a, b) => a + b, 0) / values.length,
+        median: median(values),
+    })).sort((a, b) => a.market.localeCompare(b.market, 'ja'));
+
+    const yieldBins = Array.from({ length: STATS_YIELD_BIN_COUNT }, (_, i) => ({
+        from: i * STATS_YIELD_BIN_WIDTH,
+        to: i === STATS_YIELD_BIN_COUNT - 1 ? null : (i + 1) * STATS_YIELD_BIN_WIDTH,
+        count: 0,
+    }));
+    for (const e of entries) {
+        if (e.yield === null) continue;
+        const bin = Math.min(STATS_YIELD_BIN_COUNT - 1, Math.max(0, Math.floor(e.yield / STATS_YIELD_BIN_WIDTH)));
+        yieldBins[bin].count++;
+    }
+
+    const ranked = (key) => {
+        const sorted = entries.filter(e => e[key] !== null).sort((a, b) => b[key] - a[key]);
+        return {
+            top: sorted.slice(0, STATS_RANK_SIZE),
+            bottom: sorted.slice(-STATS_RANK_SIZE).reverse(),
+        };
+    };
+
+    const withExcess = entries.filter(e => e.excessDrop !== null);
+    const dropped = withExcess.filter(e => e.excessDrop > 0).length;
+
+    return {
+        rowCount: rows.length,
+        byMarket,
+        yieldBins,
+        yieldRank: ranked('yield'),
+        change1dRank: ranked('change1d'),
+        excessDrop: { count: dropped, total: withExcess.length, share: withExcess.length > 0 ? dropped / withExcess.length * 100 : null },
+    };
+}
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function yieldBinLabel(bin) {
+    return bin.to === null ? `${bin.from.toFixed(1)}%以上` : `${bin.from.toFixed(1)}〜${bin.to.toFixed(1)}%`;
+}
+
+// ============================================
+// Metric Registry
+// ============================================
+//
+// 取得結果から計算する指標の定義。表の列・ソート・エクスポートはすべてここから作る
+// - value(row, priceData): 数値・文字列・null（欠損）
+// - kind: 表示形式 'price'（価格）・'change'（符号付き%、上昇は緑・下落は赤）・'percent'（%）・'number'・'text'
+// - format: エクスポート時の数値の文字列化、xlsxFormat: Excel の表示書式
+// - percent: % 値（Excel では 1/100 して書き込む）
+// - sortValue(row, priceData): value と異なる基準でソートする場合
+// - table: false なら表には出さない（エクスポートのみ）
+// 表のセル（HTML）は app.js の METRIC_CELL_RENDERERS で作る
+
+/**
+ * 配当利回り(%)（終値・配当金が揃わない場合は null）
+ * 備考に株式分割・優待などがある行は現金配当の利回りとして比較できないので null
+ */
+function calcDividendYield(pd, row) {
+    if (!pd || pd.price === null || pd.dividend === null || !(pd.price > 0)) return null;
+    if (row && getCorporateActions(row).length > 0) return null;
+    return pd.dividend / pd.price * 100;
+}
+
+const fixed2 = (v) => v.toFixed(2);
+
+const field = (key) => (row, pd) => pd?.[key] ?? null;
+
+const BUILTIN_METRICS = [
+    { id: 'price', label: '終値', kind: 'price', value: field('price'), xlsxFormat: '#,##0.0' },
+    { id: 'dividend', label: '配当金', kind: 'price', value: field('dividend'), xlsxFormat: '#,##0.00' },
+    {
+        id: 'yield', label: '配当利回り(%)', kind: 'percent', value: (row, pd) => calcDividendYield(pd, row),
+        format: fixed2, percent: true, xlsxFormat: XLSX_PCT_FORMAT,
+    },
+    ...CHANGE_LOOKBACKS.map(c => ({
+        id: c.id, label: c.label, kind: 'change', value: field(c.id),
+        format: fixed2, percent: true, xlsxFormat: XLSX_CHANGE_FORMAT,
+    })),
+    {
+        // 表ではスパークライン、エクスポートでは期間の騰落率
+        id: 'closeTrend', label: `${SPARKLINE_DAYS}日推移(%)`, kind: 'change',
+        value: (row, pd) => {
+            const closes = pd?.series ? recentCloses(pd.series, SPARKLINE_DAYS) : [];
+            return closes.length >= 2 ? calcChangeRate(closes[closes.length - 1], closes[0]) : null;
+        },
+        format: fixed2, percent: true, xlsxFormat: XLSX_CHANGE_FORMAT,
+    },
+    { id: 'vwap', label: 'VWAP', kind: 'price', value: field('vwap'), xlsxFormat: '#,##0.0' },
+    { id: 'vwapDeviation', label: 'VWAP乖離率(%)', kind: 'change', value: field('vwapDeviation'), format: fixed2, percent: true, xlsxFormat: XLSX_CHANGE_FORMAT },
+    {
+        id: 'vwapMethod', label: 'VWAP算出方法', kind: 'text', value: (row, pd) => VWAP_METHOD_LABELS[pd?.vwapMethod] ?? null,
+        // 1分足 → 5分足 → 日足近似の順に並べる
+        sortValue: (row, pd) => pd?.vwapMethod ? Object.keys(VWAP_METHOD_LABELS).indexOf(pd.vwapMethod) : null,
+    },
+    { id: 'cumClose', label: '権利付終値', kind: 'price', value: field('cumClose'), xlsxFormat: '#,##0.0' },
+    { id: 'exChange', label: '権利落日騰落率(%)', kind: 'change', value: field('exChange'), format: fixed2, percent: true, xlsxFormat: XLSX_CHANGE_FORMAT },
+    { id: 'after1d', label: '落後1日終値', kind: 'price', value: field('after1d'), xlsxFormat: '#,##0.0' },
+    { id: 'after5d', label: '落後5日終値', kind: 'price', value: field('after5d'), xlsxFormat: '#,##0.0' },
+    { id: 'after10d', label: '落後10日終値', kind: 'price', value: field('after10d'), xlsxFormat: '#,##0.0' },
+    { id: 'recoveryDays', label: '回復日数', kind: 'number', value: field('recoveryDays'), xlsxFormat: '0' },
+    { id: 'maxDrawdown', label: '最大下落率(%)', kind: 'change', value: field('maxDrawdown'), format: fixed2, percent: true, xlsxFormat: XLSX_CHANGE_FORMAT },
+    { id: 'theoreticalPrice', label: '理論落値', kind: 'price', value: field('theoreticalPrice'), xlsxFormat: '#,##0.0' },
+    { id: 'exOpen', label: '落日始値', kind: 'price', value: field('exOpen'), xlsxFormat: '#,##0.0' },
+    { id: 'exClose', label: '落日終値', kind: 'price', value: field('exClose'), xlsxFormat: '#,##0.0' },
+    { id: 'openVsTheoretical', label: '始値乖離率(%)', kind: 'change', value: field('openVsTheoretical'), format: fixed2, percent: true, xlsxFormat: XLSX_CHANGE_FORMAT },
+    { id: 'closeVsTheoretical', label: '終値乖離率(%)', kind: 'change', value: field('closeVsTheoretical'), format: fixed2, percent: true, xlsxFormat: XLSX_CHANGE_FORMAT },
+    { id: 'excessDrop', label: '超過下落(円)', kind: 'price', value: field('excessDrop'), xlsxFormat: '#,##0.0' },
+    { id: 'excessDropRate', label: '超過下落率(%)', kind: 'percent', value: field('excessDropRate'), format: fixed2, percent: true, xlsxFormat: XLSX_PCT_FORMAT },
+    { id: 'actionNotes', label: '権利注記', kind: 'text', value: (row, pd) => getRowActionNotes(row, pd) },
+    { id: 'actualDate', label: '取得日', kind: 'text', value: field('actualDate') },
+    { id: 'dateNote', label: '日付注記', kind: 'text', value: field('dateNote'), table: false },
+    { id: 'cumDate', label: '権利付最終日', kind: 'text', value: field('cumDate'), table: false },
+];
+
+// ユーザー定義指標の種類（n は取引日数）
+const CUSTOM_METRIC_TYPES = {
+    change: {
+        label: (n) => `${n}日前比(%)`,
+        kind: 'change', format: fixed2, percent: true, xlsxFormat: XLSX_CHANGE_FORMAT,
+        compute: (s, n) => calcChangeRate(s.closes[s.baseIdx], findPriceNTradingDaysBack(s.closes, s.baseIdx, n)),
+    },
+    avgVolume: {
+        label: (n) => `${n}日平均出来高`,
+        kind: 'number', xlsxFormat: '#,##0',
+        compute: (s, n) => {
+            const volumes = lastTradingIndices(s, n).map(i => s.volumes[i]).filter(v => v !== null);
+            return volumes.length > 0 ? Math.round(volumes.reduce((a, b) => a + b, 0) / volumes.length) : null;
+        },
+    },
+    fromHigh: {
+        label: (n) => `${n}日高値乖離(%)`,
+        kind: 'change', format: fixed2, percent: true, xlsxFormat: XLSX_CHANGE_FORMAT,
+        compute: (s, n) => {
+            const highs = lastTradingIndices(s, n).map(i => s.highs[i] ?? s.closes[i]);
+            return highs.length > 0 ? calcChangeRate(s.closes[s.baseIdx], Math.max(...highs)) : null;
+        },
+    },
+    fromLow: {
+        label: (n) => `${n}日安値乖離(%)`,
+        kind: 'change', format: fixed2, percent: true, xlsxFormat: XLSX_CHANGE_FORMAT,
+        compute: (s, n) => {
+            const lows = lastTradingIndices(s, n).map(i => s.lows[i] ?? s.closes[i]);
+            return lows.length > 0 ? calcChangeRate(s.closes[s.baseIdx], Math.min(...lows)) : null;
+        },
+    },
+};
+
+/**
+ * 基準日までの直近 n 取引日（終値のあるバー）のインデックス。n 日分そろわなければ空配列
+ */
+function lastTradingIndices(series, n) {
+    const indices = [];
+    for (let i = series.baseIdx; i >= 0 && indices.length < n; i--) {
+        if (series.closes[i] !== null) indices.push(i);
+    }
+    return indices.length === n ? indices : [];
+}
+
+function customMetricId(def) {
+    return `custom.${def.type}.${def.days}`;
+}
+
+/**
+ * 保存されたユーザー定義指標 { type, days } から指標を作る
+ */
+function buildCustomMetric(def) {
+    const type = CUSTOM_METRIC_TYPES[def.type];
+    return {
+        id: customMetricId(def),
+        label: type.label(def.days),
+        kind: type.kind,
+        format: type.format,
+        percent: type.percent,
+        xlsxFormat: type.xlsxFormat,
+        value: (row, pd) => pd?.series ? type.compute(pd.series, def.days) : null,
+    };
+}
+
+/**
+ * すべての指標（組み込み + ユーザー定義）
+ */
+function getMetrics() {
+    return [...BUILTIN_METRICS, ...customMetrics.filter(d => CUSTOM_METRIC_TYPES[d.type]).map(buildCustomMetric)];
+}
+
+/**
+ * 表に出す指標（列の並び順）
+ */
+function getTableMetrics() {
+    return getMetrics().filter(m => m.table !== false);
+}
+
+/**
+ * ユーザー定義指標の計算に必要な取引日数（取得期間の決定に使う）
+ */
+function getRequiredLookbackDays() {
+    return Math.max(0, ...customMetrics.map(d => d.days + (d.type === 'change' ? 1 : 0)));
+}
+
+/**
+ * 直近の取得より長い期間が必要な指標があるか（取得後に指標を追加すると、再取得するまで N/A になる）
+ */
+function needsLongerLookback() {
+    return !!lastRunInfo && Object.keys(closingPrices).length > 0
+        && lookbackCalendarDays(getRequiredLookbackDays()) > lookbackCalendarDays(lastRunInfo.lookbackDays);
+}
+
+function saveCustomMetrics(defs) {
+    customMetrics = defs;
+    saveStoredJSON(CUSTOM_METRICS_KEY, defs);
+}
+
+/**
+ * 基準日までの直近 n 取引日の終値（古い順。n 日に満たなければあるだけ）
+ */
+function recentCloses(series, n) {
+    const closes = [];
+    for (let i = series.baseIdx; i >= 0 && closes.length < n; i--) {
+        if (series.closes[i] !== null) closes.unshift(series.closes[i]);
+    }
+    return closes;
+}
+
+// ============================================
+// CSV Export
+// ============================================
+
+/**
+ * エクスポート可能な列（入力ファイルの表示対象列 + 取得結果の列）
+ * ファイル未読込時は JPX 形式の列を使う
+ */
+function getExportColumns() {
+    const schema = parsedData?.schema ?? buildSchema(KNOWN_LAYOUTS[0].labels, KNOWN_LAYOUTS[0].roles, KNOWN_LAYOUTS[0]);
+    const sourceColumns = schema.passThrough.map(i => ({
+        id: schema.columnIds[i],
+        label: schema.labels[i],
+        value: (row) => (row[i] || '').trim(),
+    }));
+    return [...sourceColumns, ...getMetrics()];
+}
+
+const EXPORT_FORMATS = {
+    csv: { label: 'CSV (UTF-8 BOM付き)', ext: 'csv', mime: 'text/csv;charset=utf-8;' },
+    tsv: { label: 'TSV (UTF-8 BOM付き)', ext: 'tsv', mime: 'text/tab-separated-values;charset=utf-8;' },
+    json: { label: 'JSON (レコード配列)', ext: 'json', mime: 'application/json;charset=utf-8;' },
+    sjis: { label: 'CSV (Shift_JIS)', ext: 'csv', mime: 'text/csv;charset=shift_jis;' },
+};
+
+/**
+ * 既定のエクスポート設定（従来のCSV出力と同じ内容）
+ */
+function defaultExportSettings() {
+    return {
+        format: 'csv',
+        missing: 'N/A',
+        filtered: false,    // 絞り込み条件（呼び出し側が filters に渡す）を出力にも適用する
+        columns: getExportColumns().map(c => ({ id: c.id, enabled: true })),
+    };
+}
+
+/**
+ * 保存済みの列リストを現在の列定義に合わせる
+ * 不明な列は除き、プリセット保存後に追加された列は末尾に無効状態で足す
+ */
+function normalizeExportColumns(columns) {
+    const exportColumns = getExportColumns();
+    const known = new Set(exportColumns.map(c => c.id));
+    const result = columns.filter(c => known.has(c.id));
+    const present = new Set(result.map(c => c.id));
+    for (const c of exportColumns) {
+        if (!present.has(c.id)) result.push({ id: c.id, enabled: false });
+    }
+    return result;
+}
+
+/**
+ * 選択された列の定義（出力順）
+ */
+function getSelectedExportColumns(settings) {
+    const byId = new Map(getExportColumns().map(c => [c.id, c]));
+    return settings.columns.filter(c => c.enabled).map(c => byId.get(c.id)).filter(Boolean);
+}
+
+/**
+ * 出力する行（settings.filtered なら settings.filters の絞り込み条件を適用）
+ */
+function getExportRows(settings) {
+    return settings?.filtered && settings.filters ? getFilteredRows(parsedData.rows, settings.filters) : parsedData.rows;
+}
+
+/**
+ * 1行分の出力値（欠損は settings.missing で置き換え）
+ */
+function getExportRecord(row, columns, settings) {
+    const priceData = getPriceDataForRow(row);
+    return columns.map(col => {
+        const val = col.value(row, priceData);
+        if (val === null || val === undefined) return settings.missing;
+        if (typeof val === 'number') return col.format ? col.format(val) : String(val);
+        return val;
+    });
+}
+
+/**
+ * 区切り文字形式（CSV / TSV）で出力する
+ */
+function generateOutputCSV(settings = defaultExportSettings()) {
+    if (!parsedData) return '';
+
+    const rows = getExportRows(settings);
+    const metadata = getOutputMetadata();
+    const delimiter = settings.format === 'tsv' ? '\t' : ',';
+    const columns = getSelectedExportColumns(settings);
+    const lines = [];
+
+    // 区切り文字や引用符・改行を含む場合は引用符で囲む
+    const quote = (val) => {
+        if (val.includes(delimiter) || val.includes('"') || val.includes('\n')) {
+            return '"' + val.replace(/"/g, '""') + '"';
+        }
+        return val;
+    };
+
+    // メタデータ行を保持
+    for (const line of metadata) {
+        lines.push(delimiter === ',' ? line : (parseCSVRows(line)[0] || []).map(quote).join(delimiter));
+    }
+
+    // ヘッダー行
+    lines.push(columns.map(c => quote(c.label)).join(delimiter));
+
+    // データ行
+    for (const row of rows) {
+        lines.push(getExportRecord(row, columns, settings).map(quote).join(delimiter));
+    }
+
+    return lines.join('\r\n');
+}
+
+/**
+ * JSON（列ラベルをキーとするレコードの配列）で出力する
+ * 数値は数値のまま、欠損は settings.missing を入れる
+ */
+function generateOutputJSON(settings) {
+    if (!parsedData) return '';
+
+    const columns = getSelectedExportColumns(settings);
+    const records = getExportRows(settings).map(row => {
+        const priceData = getPriceDataForRow(row);
+        const record = {};
+        for (const col of columns) {
+            const val = col.value(row, priceData);
+            record[col.label] = (val === null || val === undefined) ? settings.missing
+                : (typeof val === 'number' && col.format) ? Number(col.format(val))
+                    : val;
+        }
+        return record;
+    });
+    return JSON.stringify(records, null, 2);
+}
+
+/**
+ * エクスポート設定に従ってファイル内容を作る
+ * 戻り値: { parts: BlobPart[], mime, ext }
+ */
+function generateExport(settings) {
+    const format = EXPORT_FORMATS[settings.format] || EXPORT_FORMATS.csv;
+
+    if (settings.format === 'json') {
+        return { parts: [generateOutputJSON(settings)], mime: format.mime, ext: format.ext };
+    }
+
+    const text = generateOutputCSV(settings);
+    if (settings.format === 'sjis') {
+        // SheetJS 同梱のコードページ表で CP932 にエンコードする
+        if (typeof cptable === 'undefined') {
+            throw new Error('Shift_JIS エンコーダーが読み込まれていません。');
+        }
+        return { parts: [new Uint8Array(cptable.utils.encode(932, text))], mime: format.mime, ext: format.ext };
+    }
+
+    // BOM付きUTF-8でエクスポート（Excelで文字化けしないように）
+    return { parts: ['\uFEFF' + text], mime: format.mime, ext: format.ext };
+}
+
+/**
+ * 出力ファイル名用の日付（YYYYMMDD）
+ */
+function exportDateStamp() {
+    const now = new Date();
+    return `${now.getFullYear()}${String(now.getMonth() + 1).padStart(2, '0')}${String(now.getDate()).padStart(2, '0')}`;
+}
+
+// ============================================
+// Excel Export
+// ============================================
+
+/**
+ * 数値セル（null は missing の文字列セル）
+ */
+function xlsxNumberCell(value, format, missing = 'N/A') {
+    if (value === null || value === undefined) return { t: 's', v: missing };
+    const cell = { t: 'n', v: value };
+    if (format) cell.z = format;
+    return cell;
+}
+
+/**
+ * データシートのセル（ヘッダー行 + データ行）
+ * CSV と同じく選択された列を選択順に並べ、欠損は settings.missing にする。
+ * 数値は数値セル・率はパーセント書式にする
+ */
+function buildDataSheetCells(settings) {
+    const columns = getSelectedExportColumns(settings);
+    const aoa = [columns.map(c => ({ t: 's', v: c.label }))];
+
+    for (const row of getExportRows(settings)) {
+        const pd = getPriceDataForRow(row);
+        aoa.push(columns.map(col => {
+            const val = col.value(row, pd);
+            if (typeof val === 'string') return { t: 's', v: val };
+            const num = (val !== null && val !== undefined && col.percent) ? val / 100 : val;
+            return xlsxNumberCell(num ?? null, col.xlsxFormat, settings.missing);
+        }));
+    }
+    return aoa;
+}
+
+function buildDataSheet(settings) {
+    const columns = getSelectedExportColumns(settings);
+    const aoa = buildDataSheetCells(settings);
+
+    const sheet = XLSX.utils.aoa_to_sheet(aoa);
+    sheet['!cols'] = columns.map(c => ({ wch: c.id === 'name' ? 24 : Math.max(10, c.label.length * 2) }));
+    sheet['!autofilter'] = { ref: XLSX.utils.encode_range({ s: { r: 0, c: 0 }, e: { r: aoa.length - 1, c: columns.length - 1 } }) };
+    return sheet;
+}
+
+function buildErrorSheet() {
+    const aoa = [['銘柄コード', '日付', 'ティッカー', 'エラー']];
+    for (const e of errorMessages) {
+        aoa.push([e.code, e.date, e.ticker || 'N/A', e.error]);
+    }
+    const sheet = XLSX.utils.aoa_to_sheet(aoa);
+    sheet['!cols'] = [{ wch: 12 }, { wch: 12 }, { wch: 12 }, { wch: 40 }];
+    return sheet;
+}
+
+function buildSummarySheet() {
+    const counts = getResultCounts();
+    const aoa = [
+        ['項目', '値'],
+        ['成功', counts.success],
+        ['取得不可', counts.na],
+        ['エラー', counts.error],
+        ['総行数', parsedData.rows.length],
+        ['基準日列', lastRunInfo?.dateColLabel ?? ''],
+        ['取得日時', lastRunInfo ? lastRunInfo.fetchedAt.toLocaleString('ja-JP') : ''],
+        ['取得元', lastRunInfo?.providerLabel ?? ''],
+        ['入力ファイル数', parsedData.files.length],
+    ];
+
+    // 入力ファイルごとの行数と元ファイルのメタデータ行
+    for (const f of parsedData.files) {
+        aoa.push([]);
+        aoa.push(['入力ファイル', f.name]);
+        aoa.push(['取り込み行数', f.rowCount]);
+        aoa.push(['重複除外行数', f.duplicateCount]);
+        for (const line of f.metadata) {
+            aoa.push([line.replace(/,+$/, ''), '']);
+        }
+    }
+
+    const sheet = XLSX.utils.aoa_to_sheet(aoa);
+    sheet['!cols'] = [{ wch: 20 }, { wch: 30 }];
+    return sheet;
+}
+
+/**
+ * 統計シート：出力対象の行（絞り込み設定に従う）から集計する
+ */
+function buildStatisticsSheet(settings) {
+    const stats = computeStatistics(getExportRows(settings));
+    const pct = (v) => xlsxNumberCell(v === null ? null : v / 100, XLSX_CHANGE_FORMAT);
+
+    const aoa = [['対象行数', stats.rowCount], []];
+    aoa.push(['市場別 権利落日騰落率']);
+    aoa.push(['市場', '銘柄数', '平均', '中央値']);
+    for (const m of stats.byMarket) {
+        aoa.push([m.market, m.count, pct(m.mean), pct(m.median)]);
+    }
+
+    aoa.push([]);
+    aoa.push(['配当金を超えて下落', stats.excessDrop.count, stats.excessDrop.total,
+        xlsxNumberCell(stats.excessDrop.share === null ? null : stats.excessDrop.share / 100, XLSX_PCT_FORMAT)]);
+
+    aoa.push([]);
+    aoa.push(['配当利回りの分布', '銘柄数']);
+    for (const b of stats.yieldBins) {
+        aoa.push([yieldBinLabel(b), b.count]);
+    }
+
+    const addRank = (title, list, key, format) => {
+        aoa.push([]);
+        aoa.push([title, '銘柄略称', '値']);
+        for (const e of list) {
+            aoa.push([e.code, e.name, xlsxNumberCell(e[key] / 100, format)]);
+        }
+    };
+    addRank('利回り 上位', stats.yieldRank.top, 'yield', XLSX_PCT_FORMAT);
+    addRank('利回り 下位', stats.yieldRank.bottom, 'yield', XLSX_PCT_FORMAT);
+    addRank('前日比 上位', stats.change1dRank.top, 'change1d', XLSX_CHANGE_FORMAT);
+    addRank('前日比 下位', stats.change1dRank.bottom, 'change1d', XLSX_CHANGE_FORMAT);
+
+    const sheet = XLSX.utils.aoa_to_sheet(aoa);
+    sheet['!cols'] = [{ wch: 24 }, { wch: 24 }, { wch: 12 }, { wch: 12 }];
+    return sheet;
+}
+
+/**
+ * Excel ブック（データ・エラー・サマリー・統計）
+ */
+function buildWorkbook(settings) {
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, buildDataSheet(settings), 'データ');
+    XLSX.utils.book_append_sheet(workbook, buildErrorSheet(), 'エラー');
+    XLSX.utils.book_append_sheet(workbook, buildSummarySheet(), 'サマリー');
+    XLSX.utils.book_append_sheet(workbook, buildStatisticsSheet(settings), '統計');
+    return workbook;
+}
+
+// ============================================
+// Excel Import
+// ============================================
+
+/**
+ * ブック内のデータのあるシートを CSV テキストに変換する
+ * 日付書式のセルとシリアル値は YYYY/MM/DD に揃える
+ * 戻り値: { name, text, rowCount }[]
+ */
+function workbookToSheets(workbook) {
+    const date1904 = !!workbook.Workbook?.WBProps?.date1904;
+    return workbook.SheetNames
+        .map(name => sheetToCSVText(workbook.Sheets[name], date1904, name))
+        .filter(sheet => sheet.rowCount > 0);
+}
+
+function sheetToCSVText(sheet, date1904, name) {
+    if (!sheet || !sheet['!ref']) return { name, text: '', rowCount: 0 };
+
+    const range = XLSX.utils.decode_range(sheet['!ref']);
+    const quote = (val) => /[",\n]/.test(val) ? '"' + val.replace(/"/g, '""') + '"' : val;
+    const lines = [];
+
+    for (let r = range.s.r; r <= range.e.r; r++) {
+        const cells = [];
+        for (let c = range.s.c; c <= range.e.c; c++) {
+            cells.push(quote(excelCellText(sheet[XLSX.utils.encode_cell({ r, c })], date1904)));
+        }
+        lines.push(cells.join(','));
+    }
+
+    const rowCount = lines.filter(l => l.replace(/,/g, '').trim() !== '').length;
+    return { name, text: lines.join('\n'), rowCount };
+}
+
+/**
+ * セルの表示用テキスト（日付は書式に関係なく YYYY/MM/DD）
+ */
+function excelCellText(cell, date1904) {
+    if (!cell || cell.v === undefined || cell.v === null) return '';
+
+    const ymd = (y, m, d) => `${y}/${String(m).padStart(2, '0')}/${String(d).padStart(2, '0')}`;
+    if (cell.t === 'd') {
+        return ymd(cell.v.getFullYear(), cell.v.getMonth() + 1, cell.v.getDate());
+    }
+    if (cell.t === 'n' && cell.z && XLSX.SSF.is_date(cell.z)) {
+        const d = XLSX.SSF.parse_date_code(cell.v, { date1904 });
+        if (d) return ymd(d.y, d.m, d.d);
+    }
+    return String(cell.w ?? cell.v);
+}
+
+// ============================================
+// File Handling
+// ============================================
+
+/**
+ * CSV のバイト列を文字列にする（UTF-8 で文字化けする場合は Shift_JIS とみなす）
+ */
+function decodeCSVBytes(bytes) {
+    const text = new TextDecoder('utf-8').decode(bytes);
+    return text.includes('\ufffd') ? new TextDecoder('shift_jis').decode(bytes) : text;
+}
+
+/**
+ * ファイルの内容をシートごとの CSV テキストにする（Excel はデータのある全シート）
+ * 戻り値: { sheets: { name: string|null, text: string }[] }
+ */
+function readSourceBytes(bytes, fileName) {
+    const ext = fileName.split('.').pop().toLowerCase();
+
+    if (!['csv', 'xls', 'xlsx'].includes(ext)) {
+        throw new Error('CSV、XLS、またはXLSXファイルを選択してください。');
+    }
+
+    if (ext === 'xls' || ext === 'xlsx') {
+        const workbook = XLSX.read(bytes, { type: 'array', cellNF: true });
+        const sheets = workbookToSheets(workbook);
+        if (sheets.length === 0) {
+            throw new Error('データのあるシートがありません。');
+        }
+        return { sheets };
+    }
+
+    return { sheets: [{ name: null, text: decodeCSVBytes(bytes) }] };
+}
+
+/**
+ * 既知の形式・保存済みの対応付けで入力を解析する（対応付けが決まらなければ null）
+ */
+function parseKnownSource(source) {
+    const mapping = resolveColumnMapping(parseCSV(source.sheets[0].text));
+    return mapping ? applyColumnMapping(source, mapping) : null;
+}
+
+// ============================================
+// Working Dataset
+// ============================================
+//
+// 複数ファイルを1つの作業データにまとめる
+// parsedData.header は最初のファイルの列 + 取り込み元ファイル列（末尾）
+// 取り込み元ファイル列はファイルが2件以上のときだけ表示・出力する
+
+/**
+ * 重複判定キー（銘柄コード + 最初の日付列）
+ */
+function duplicateKey(row, schema) {
+    return priceKey(row[schema.codeCol] || '', row[schema.dateCols[0]] || '');
+}
+
+/**
+ * 読み込んだファイルを作業データに追加する
+ * 2件目以降は見出しの一致する列を最初のファイルの列位置に揃え、
+ * 既存と同じ銘柄コード・基準日の行は取り込まない
+ */
+function mergeFileData(data, source, file) {
+    if (!parsedData) {
+        const layout = KNOWN_LAYOUTS.find(l => l.id === data.schema.layoutId) || null;
+        const header = [...data.header, FILE_COLUMN_LABEL];
+        const roles = [...data.schema.roles, 'ignore'];
+        parsedData = { header, roles, layout, schema: buildSchema(header, roles, layout), rows: [], files: [] };
+        closingPrices = {};
+        errorMessages = [];
+    }
+
+    const { header, schema } = parsedData;
+    const fileCol = header.length - 1;
+    const sourceLabels = data.header.map(h => h.trim());
+    const colMap = header.map((h, i) => i === fileCol ? -1 : sourceLabels.indexOf(h.trim()));
+    if (colMap[schema.codeCol] === -1) {
+        throw new Error(`「${header[schema.codeCol].trim()}」列がありません。`);
+    }
+
+    const entry = {
+        name: file.name,
+        size: file.size,
+        metadata: data.metadata,
+        headerLine: data.headerLine,
+        source,
+        rowCount: 0,
+        duplicateCount: 0,
+    };
+
+    const seen = new Set(parsedData.rows.map(r => duplicateKey(r, schema)));
+    for (const r of data.rows) {
+        const row = colMap.map((src, i) => i === fileCol ? file.name : src >= 0 ? (r[src] ?? '') : '');
+        const key = duplicateKey(row, schema);
+        if (seen.has(key)) {
+            entry.duplicateCount++;
+            continue;
+        }
+        seen.add(key);
+        parsedData.rows.push(row);
+        entry.rowCount++;
+    }
+
+    parsedData.files.push(entry);
+    rebuildDatasetSchema();
+}
+
+/**
+ * 作業データからファイルを取り除き、残った行から参照されない取得結果を捨てる
+ * 戻り値: 残ったファイル数
+ */
+function removeFileData(index) {
+    const [removed] = parsedData.files.splice(index, 1);
+    if (parsedData.files.length === 0) return 0;
+
+    const fileCol = parsedData.header.length - 1;
+    parsedData.rows = parsedData.rows.filter(r => r[fileCol] !== removed.name);
+
+    const keys = new Set(parsedData.rows.map(rowPriceKey));
+    for (const key of Object.keys(closingPrices)) {
+        if (!keys.has(key)) delete closingPrices[key];
+    }
+    errorMessages = errorMessages.filter(e => keys.has(e.key));
+
+    rebuildDatasetSchema();
+    return parsedData.files.length;
+}
+
+/**
+ * ファイル構成に合わせてスキーマを作り直す（取り込み元ファイル列は2件以上のときだけ出す）
+ */
+function rebuildDatasetSchema() {
+    const roles = parsedData.roles;
+    roles[roles.length - 1] = parsedData.files.length > 1 ? 'pass' : 'ignore';
+    parsedData.schema = buildSchema(parsedData.header, roles, parsedData.layout);
+}
+
+/**
+ * 出力ファイルに残す元ファイルのメタデータ行（複数ファイルの場合は付けない）
+ */
+function getOutputMetadata() {
+    return parsedData.files.length === 1 ? parsedData.files[0].metadata : [];
+}
+
+// ============================================
+// Utilities
+// ============================================
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// ============================================
+// Node.js
+// ============================================
+//
+// ブラウザではトップレベルの宣言がそのまま app.js から参照される
+// Node.js では XLSX（Excel 入出力）・cptable（Shift_JIS 出力）をグローバルに用意してから使う
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        // 作業データと取得結果（参照のみ。変更は下の関数で行う）
+        get parsedData() { return parsedData; },
+        get closingPrices() { return closingPrices; },
+        get errorMessages() { return errorMessages; },
+        get lastRunInfo() { return lastRunInfo; },
+
+        // 入力の解析
+        parseCSV,
+        decodeCSVBytes,
+        readSourceBytes,
+        parseKnownSource,
+        mergeFileData,
+        removeFileData,
+        getUniqueStocks,
+        toTicker,
+
+        // 設定（Node.js では保存されない）
+        parseTickerOverrides,
+        saveTickerOverrides,
+        parseMarketHolidays,
+        saveMarketHolidays,
+        CUSTOM_METRIC_TYPES,
+        saveCustomMetrics,
+
+        // 終値の取得
+        PRICE_PROVIDERS,
+        createFetchScheduler,
+        fetchClosingPrice,
+        fetchStockPrices,
+        getFailedStocks,
+        getResultCounts,
+        saveProxyUrl,
+
+        // 記録・再生
+        startFixtureRecording,
+        startFixtureReplay,
+        stopFixtureSession,
+        getFixtureStatus,
+        serializeFixtureBundle,
+
+        // 出力
+        EXPORT_FORMATS,
+        getExportColumns,
+        defaultExportSettings,
+        generateOutputCSV,
+        generateOutputJSON,
+        generateExport,
+        buildDataSheetCells,
+        buildWorkbook,
+        exportDateStamp,
+    };
+}
@@ -0,0 +1,158 @@
+#!/usr/bin/env node
+// ============================================
+// 価格データのモックサーバー
+// ============================================
+//
+// Yahoo Finance chart API と同じ形の JSON をフィクスチャファイルから返す（オフラインでの確認・デモ用）
+//
+//   node mock-server.js [フィクスチャディレクトリ] [--port 8787]
+//
+// フィクスチャは chart API の応答そのままの JSON で、ファイル名は <ティッカー>.json（日足）、
+// 分足は <ティッカー>_<間隔>.json（例: 7203.T_5m.json）。period1〜period2 の範囲だけを切り出して返す
+//
+// 次の2つの形式の要求に応える
+//   /v8/finance/chart/<ティッカー>?period1=...     … API と同じパス
+//   /?<エンコードした chart API の URL>            … CORS プロキシと同じ形式（--proxy にそのまま指定できる）
+//
+//   node cli.js list.csv --proxy 'http://localhost:8787/?'
+//
+// ブラウザ版では取得設定の「CORS プロキシ」に http://localhost:8787/? を指定する
+
+'use strict';
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const DEFAULT_PORT = 8787;
+const DEFAULT_FIXTURE_DIR = path.join(__dirname, 'fixtures', 'yahoo');
+const CHART_PATH = /^\/v8\/finance\/chart\/([^/?]+)$/;
+
+/**
+ * Yahoo の「データなし」と同じ形のエラー応答
+ */
+function chartError(code, description) {
+    return { chart: { result: null, error: { code, description } } };
+}
+
+/**
+ * chart.result[0] を [period1, period2] の範囲に切り出す（配当・分割イベントも同じ範囲に絞る）
+ */
+function sliceChartResult(result, period1, period2) {
+    const timestamps = result.timestamp || [];
+    const keep = timestamps.map(ts => ts >= period1 && ts <= period2);
+    const pick = (arr) => arr && arr.filter((_, i) => keep[i]);
+
+    const quote = result.indicators?.quote?.[0] || {};
+    const slicedQuote = {};
+    for (const [name, values] of Object.entries(quote)) {
+        slicedQuote[name] = pick(values);
+    }
+
+    const events = {};
+    for (const [type, byTs] of Object.entries(result.events || {})) {
+        const inRange = Object.entries(byTs).filter(([ts]) => ts >= period1 && ts <= period2);
+        if (inRange.length > 0) events[type] = Object.fromEntries(inRange);
+    }
+
+    return {
+        ...result,
+        timestamp: pick(timestamps),
+        indicators: { ...result.indicators, quote: [slicedQuote] },
+        events,
+    };
+}
+
+/**
+ * フィクスチャの chart.result[0] を要求の期間で切り出して返す（ファイルがなければ null）
+ */
+function loadFixtureResult(fixtureDir, ticker, url) {
+    const interval = url.searchParams.get('interval') || '1d';
+    const fileName = interval === '1d' ? `${ticker}.json` : `${ticker}_${interval}.json`;
+    const file = path.join(fixtureDir, path.basename(fileName));
+    if (!fs.existsSync(file)) return null;
+
+    const result = JSON.parse(fs.readFileSync(file, 'utf8')).chart?.result?.[0];
+    if (!result) return null;
+
+    const period1 = parseInt(url.searchParams.get('period1')) || 0;
+    const period2 = parseInt(url.searchParams.get('period2')) || Infinity;
+    return sliceChartResult(result, period1, period2);
+}
+
+/**
+ * chart API の URL に対する応答 { status, body } を作る
+ */
+function handleChartRequest(fixtureDir, url) {
+    const m = url.pathname.match(CHART_PATH);
+    if (!m) return { status: 404, body: chartError('Not Found', 'chart API 以外には対応していません') };
+
+    const ticker = decodeURIComponent(m[1]);
+    const result = loadFixtureResult(fixtureDir, ticker, url);
+    if (!result) {
+        return { status: 404, body: chartError('Not Found', `No data found, symbol may be delisted (${ticker})`) };
+    }
+    return { status: 200, body: { chart: { result: [result], error: null } } };
+}
+
+function createMockServer(fixtureDir) {
+    return http.createServer((req, res) => {
+        const headers = {
+            'Access-Control-Allow-Origin': '*',
+            'Access-Control-Allow-Headers': '*',
+            'Content-Type': 'application/json; charset=utf-8',
+        };
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204, headers);
+            res.end();
+            return;
+        }
+
+        let status;
+        let body;
+        try {
+            // プロキシ形式なら ? 以降が取得先の URL
+            const reqUrl = new URL(req.url, 'http://localhost');
+            const target = reqUrl.pathname === '/' && reqUrl.search
+                ? new URL(decodeURIComponent(reqUrl.search.slice(1)))
+                : reqUrl;
+            ({ status, body } = handleChartRequest(fixtureDir, target));
+        } catch (err) {
+            status = 400;
+            body = chartError('Bad Request', err.message);
+        }
+
+        res.writeHead(status, headers);
+        res.end(JSON.stringify(body));
+        console.log(`${status} ${req.method} ${req.url}`);
+    });
+}
+
+function main(argv) {
+    let fixtureDir = DEFAULT_FIXTURE_DIR;
+    let port = DEFAULT_PORT;
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--port') port = parseInt(argv[++i]);
+        else fixtureDir = argv[i];
+    }
+
+    if (!fs.existsSync(fixtureDir)) throw new Error(`フィクスチャディレクトリがありません: ${fixtureDir}`);
+    if (!(port > 0)) throw new Error('--port には数値を指定してください。');
+
+    createMockServer(fixtureDir).listen(port, () => {
+        console.log(`モックサーバー: http://localhost:${port}/ （${fixtureDir}）`);
+        console.log(`  プロキシとして使う場合: http://localhost:${port}/?`);
+    });
+}
+
+if (require.main === module) {
+    try {
+        main(process.argv.slice(2));
+    } catch (err) {
+        console.error('エラー: ' + err.message);
+        process.exitCode = 1;
+    }
+} else {
+    // テスト用
+    module.exports = { handleChartRequest, createMockServer };
+}
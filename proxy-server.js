@@ -0,0 +1,316 @@
+#!/usr/bin/env node
+// ============================================
+// 価格データ取得用の CORS プロキシ
+// ============================================
+//
+// corsproxy.io の代わりに自前で立てるプロキシ（要求する銘柄や件数を外部のサービスに渡さない）
+//
+//   node proxy-server.js [--port 8788] [--cache-dir .proxy-cache] [--rate-limit 120] [--upstream-interval 300]
+//
+// ブラウザ版では取得設定の「CORS プロキシ」に http://<ホスト>:8788/? を指定する（CLI は --proxy）
+//
+// - 要求は /?<エンコードした取得先 URL> の形式。取得先は ALLOWED_ENDPOINTS に一致するものだけ（それ以外は 403）
+// - 成功した応答はキャッシュディレクトリに保存し、TTL の間は取得先に問い合わせずに返す
+//   期間の終わりが前日より前（確定済み）のデータは長く、当日を含むデータは短く持つ
+//   分割があると過去の価格も調整し直されるので、分割より前に保存した同じ銘柄の応答は使わない
+//   （分割イベントを返さない取得先は確定済みでも TTL を短くする）
+// - クライアント（IP）ごとに1分あたりの要求数を制限し（超えたら 429）、取得先への要求は間隔を空けて送る
+
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const DEFAULT_PORT = 8788;
+const DEFAULT_CACHE_DIR = path.join(__dirname, '.proxy-cache');
+const DEFAULT_RATE_LIMIT = 120;           // クライアントごとの1分あたりの要求数
+const DEFAULT_UPSTREAM_INTERVAL_MS = 300; // 取得先への要求の最小間隔
+const RATE_WINDOW_MS = 60 * 1000;
+const SETTLED_TTL_MS = 30 * 86400 * 1000; // 確定済みの期間のデータ
+const SETTLED_NO_SPLITS_TTL_MS = 7 * 86400 * 1000;  // 確定済みの期間のデータ（分割イベントを返さない取得先）
+const SPLIT_INDEX_FILE = 'splits.json';   // 銘柄ごとの最新の分割日時
+const RECENT_TTL_MS = 15 * 60 * 1000;     // 当日を含む期間のデータ
+const UPSTREAM_TIMEOUT_MS = 30 * 1000;
+const USER_AGENT = 'Mozilla/5.0 (compatible; kabuka-owarine-proxy)';
+
+/**
+ * 転送を許可する取得先
+ * rangeEnd は要求している期間の終わり（ミリ秒。分からなければ null）で、キャッシュの TTL に使う
+ * 分割イベントを返す取得先は series（銘柄を表すキー）と splitTimes（応答中の分割日時（ミリ秒）の配列）も持つ
+ */
+const ALLOWED_ENDPOINTS = [
+    {
+        // Yahoo Finance chart API
+        host: /^query[12]\.finance\.yahoo\.com$/,
+        path: /^\/v8\/finance\/chart\/[^/]+$/,
+        rangeEnd: (url) => (parseInt(url.searchParams.get('period2')) * 1000) || null,
+        series: (url) => url.pathname,
+        splitTimes: (body) => Object.values(JSON.parse(body).chart?.result?.[0]?.events?.splits || {}).map(s => s.date * 1000),
+    },
+    {
+        // Stooq 日足 CSV
+        host: /^stooq\.com$/,
+        path: /^\/q\/d\/l\/$/,
+        rangeEnd: (url) => {
+            const m = (url.searchParams.get('d2') || '').match(/^(\d{4})(\d{2})(\d{2})$/);
+            return m ? Date.UTC(+m[1], +m[2] - 1, +m[3]) + 86400 * 1000 : null;
+        },
+    },
+];
+
+function findEndpoint(url) {
+    if (url.protocol !== 'https:') return null;
+    return ALLOWED_ENDPOINTS.find(e => e.host.test(url.hostname) && e.path.test(url.pathname)) || null;
+}
+
+/**
+ * 期間の終わりが前日より前ならもう変わらないので長く、それ以外は短くキャッシュする
+ */
+function cacheTtlMs(endpoint, url) {
+    const end = endpoint.rangeEnd(url);
+    if (end === null || end >= Date.now() - 86400 * 1000) return RECENT_TTL_MS;
+    return endpoint.splitTimes ? SETTLED_TTL_MS : SETTLED_NO_SPLITS_TTL_MS;
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// ============================================
+// Disk Cache
+// ============================================
+//
+// 1 URL を 1 ファイル（URL の SHA-256 をファイル名にした JSON）に保存する
+// { url, status, contentType, body, storedAt, expiresAt }
+
+function cacheFile(cacheDir, url) {
+    return path.join(cacheDir, crypto.createHash('sha256').update(url).digest('hex') + '.json');
+}
+
+function readCache(cacheDir, url) {
+    try {
+        const entry = JSON.parse(fs.readFileSync(cacheFile(cacheDir, url), 'utf8'));
+        return entry.url === url && entry.expiresAt > Date.now() ? entry : null;
+    } catch (err) {
+        return null;  // 未保存・破損
+    }
+}
+
+function writeCache(cacheDir, entry) {
+    try {
+        fs.writeFileSync(cacheFile(cacheDir, entry.url), JSON.stringify(entry));
+    } catch (err) {
+        console.warn(`キャッシュを保存できません: ${err.message}`);
+    }
+}
+
+/**
+ * 銘柄ごとの最新の分割日時（series → ミリ秒）。これより前に保存した応答は分割前の価格なので使わない
+ */
+function createSplitIndex(cacheDir) {
+    const file = path.join(cacheDir, SPLIT_INDEX_FILE);
+    let splits = {};
+    try {
+        splits = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+        // 未保存・破損
+    }
+
+    return {
+        isStale(endpoint, url, entry) {
+            return Boolean(endpoint.series) && entry.storedAt < (splits[endpoint.series(url)] || 0);
+        },
+
+        /**
+         * 応答に含まれる分割を記録する
+         */
+        note(endpoint, url, body) {
+            if (!endpoint.splitTimes) return;
+            let latest;
+            try {
+                latest = Math.max(0, ...endpoint.splitTimes(body));
+            } catch (err) {
+                return;  // 解釈できない応答
+            }
+            const key = endpoint.series(url);
+            if (latest <= (splits[key] || 0)) return;
+            splits[key] = latest;
+            try {
+                fs.writeFileSync(file, JSON.stringify(splits));
+            } catch (err) {
+                console.warn(`分割の記録を保存できません: ${err.message}`);
+            }
+        },
+    };
+}
+
+// ============================================
+// Rate Limiting
+// ============================================
+
+/**
+ * クライアントごとの要求数を1分単位で数える。上限を超えたら再試行までの秒数を返す（超えていなければ 0）
+ */
+function createRateLimiter(limit) {
+    const windows = new Map();  // クライアント → { start, count }
+
+    return function check(client) {
+        const now = Date.now();
+        let w = windows.get(client);
+        if (!w || now - w.start >= RATE_WINDOW_MS) {
+            w = { start: now, count: 0 };
+            windows.set(client, w);
+        }
+        w.count++;
+        return w.count > limit ? Math.ceil((w.start + RATE_WINDOW_MS - now) / 1000) : 0;
+    };
+}
+
+/**
+ * 取得先への要求の開始時刻を interval ミリ秒ずつずらす（同時に来た要求は順番待ちになる）
+ */
+function createUpstreamThrottle(interval) {
+    let nextAt = 0;
+
+    return async function waitTurn() {
+        const now = Date.now();
+        const at = Math.max(now, nextAt);
+        nextAt = at + interval;
+        if (at > now) await sleep(at - now);
+    };
+}
+
+// ============================================
+// Server
+// ============================================
+
+function createProxyServer(options) {
+    const checkRate = createRateLimiter(options.rateLimit);
+    const waitTurn = createUpstreamThrottle(options.upstreamInterval);
+    const splitIndex = createSplitIndex(options.cacheDir);
+    const inflight = new Map();  // URL → 取得中の Promise（同じ URL の同時要求はまとめる）
+
+    async function fetchUpstream(endpoint, url, accept) {
+        await waitTurn();
+        const response = await fetch(url, {
+            headers: { 'User-Agent': USER_AGENT, 'Accept': accept || '*/*' },
+            signal: AbortSignal.timeout(UPSTREAM_TIMEOUT_MS),
+        });
+        const entry = {
+            url: url.href,
+            status: response.status,
+            contentType: response.headers.get('Content-Type') || 'application/octet-stream',
+            body: await response.text(),
+            storedAt: Date.now(),
+        };
+        // 失敗（404 や 429 など）は保存せず、次の要求で取り直す
+        if (response.ok) {
+            entry.expiresAt = entry.storedAt + cacheTtlMs(endpoint, url);
+            writeCache(options.cacheDir, entry);
+            splitIndex.note(endpoint, url, entry.body);
+        }
+        return entry;
+    }
+
+    async function handle(req) {
+        const reqUrl = new URL(req.url, 'http://localhost');
+        if (reqUrl.pathname !== '/' || !reqUrl.search) {
+            return { status: 400, body: '/?<エンコードした URL> の形式で要求してください。' };
+        }
+
+        let target;
+        try {
+            target = new URL(decodeURIComponent(reqUrl.search.slice(1)));
+        } catch (err) {
+            return { status: 400, body: 'URL を解釈できません。' };
+        }
+        const endpoint = findEndpoint(target);
+        if (!endpoint) return { status: 403, body: '許可されていない取得先です。' };
+
+        const retryAfter = checkRate(req.socket.remoteAddress);
+        if (retryAfter > 0) {
+            return { status: 429, body: '要求が多すぎます。', headers: { 'Retry-After': String(retryAfter) } };
+        }
+
+        const cached = readCache(options.cacheDir, target.href);
+        if (cached && !splitIndex.isStale(endpoint, target, cached)) return { status: cached.status, body: cached.body, contentType: cached.contentType, cache: 'HIT' };
+
+        if (!inflight.has(target.href)) {
+            const pending = fetchUpstream(endpoint, target, req.headers.accept)
+                .finally(() => inflight.delete(target.href));
+            inflight.set(target.href, pending);
+        }
+        const entry = await inflight.get(target.href);
+        return { status: entry.status, body: entry.body, contentType: entry.contentType, cache: 'MISS' };
+    }
+
+    return http.createServer(async (req, res) => {
+        const headers = {
+            'Access-Control-Allow-Origin': '*',
+            'Access-Control-Allow-Headers': '*',
+            'Access-Control-Expose-Headers': 'Retry-After, X-Proxy-Cache',
+        };
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204, headers);
+            res.end();
+            return;
+        }
+
+        let result;
+        if (req.method !== 'GET') {
+            result = { status: 405, body: 'GET のみ対応しています。' };
+        } else {
+            try {
+                result = await handle(req);
+            } catch (err) {
+                // 取得先に接続できない・タイムアウト
+                result = { status: 502, body: `取得先に接続できません: ${err.message}` };
+            }
+        }
+
+        res.writeHead(result.status, {
+            ...headers,
+            ...result.headers,
+            'Content-Type': result.contentType || 'text/plain; charset=utf-8',
+            ...(result.cache && { 'X-Proxy-Cache': result.cache }),
+        });
+        res.end(result.body);
+        console.log(`${result.status} ${result.cache || '-'} ${req.url}`);
+    });
+}
+
+function main(argv) {
+    const options = {
+        port: DEFAULT_PORT,
+        cacheDir: DEFAULT_CACHE_DIR,
+        rateLimit: DEFAULT_RATE_LIMIT,
+        upstreamInterval: DEFAULT_UPSTREAM_INTERVAL_MS,
+    };
+    const names = { '--port': 'port', '--cache-dir': 'cacheDir', '--rate-limit': 'rateLimit', '--upstream-interval': 'upstreamInterval' };
+    for (let i = 0; i < argv.length; i++) {
+        const name = names[argv[i]];
+        if (!name || argv[i + 1] === undefined) throw new Error(`不明なオプションです: ${argv[i]}`);
+        const value = argv[++i];
+        options[name] = name === 'cacheDir' ? value : parseInt(value);
+        if (name !== 'cacheDir' && !(options[name] >= 0)) throw new Error(`${argv[i - 1]} には数値を指定してください。`);
+    }
+
+    fs.mkdirSync(options.cacheDir, { recursive: true });
+    createProxyServer(options).listen(options.port, () => {
+        console.log(`CORS プロキシ: http://localhost:${options.port}/? （キャッシュ: ${options.cacheDir}）`);
+    });
+}
+
+if (require.main === module) {
+    try {
+        main(process.argv.slice(2));
+    } catch (err) {
+        console.error('エラー: ' + err.message);
+        process.exitCode = 1;
+    }
+} else {
+    // テスト用
+    module.exports = { ALLOWED_ENDPOINTS, findEndpoint, cacheTtlMs, writeCache, createRateLimiter, createProxyServer };
+}
@@ -0,0 +1,55 @@
+// ============================================
+// コマンドライン版のテスト
+// ============================================
+//
+// fixtures/ の銘柄一覧と価格ファイル（local）を使い、ネットワークに出ずに確認する
+
+'use strict';
+
+const assert = require('node:assert/strict');
+const { execFileSync, spawnSync } = require('node:child_process');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const test = require('node:test');
+
+const ROOT = path.join(__dirname, '..');
+const CLI = path.join(ROOT, 'cli.js');
+const SAMPLE = path.join(ROOT, 'fixtures', 'sample.csv');
+const PRICES = path.join(ROOT, 'fixtures', 'prices.csv');
+
+function runCli(args) {
+    return spawnSync(process.execPath, [CLI, ...args], { cwd: ROOT, encoding: 'utf8', timeout: 60 * 1000 });
+}
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'kabuka-owarine-'));
+test.after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+function tempFile(name) {
+    return path.join(tmpDir, name);
+}
+
+test('--metrics で指定したユーザー定義指標を出力に加える', () => {
+    const out = tempFile('out.json');
+    execFileSync(process.execPath, [CLI, SAMPLE, '-p', 'local', '--price-file', PRICES, '--metrics', 'change:20,avgVolume:5', '-o', out, '-q'], { cwd: ROOT });
+
+    const records = JSON.parse(fs.readFileSync(out, 'utf8'));
+    const byCode = new Map(records.map(r => [r['銘柄コード'], r]));
+    assert.equal(records.length, 3);
+
+    const toyota = byCode.get('72030');
+    assert.equal(toyota['終値'], 2866);
+    assert.equal(typeof toyota['20日前比(%)'], 'number');
+    assert.equal(typeof toyota['5日平均出来高'], 'number');
+
+    // 価格ファイルにない銘柄は欠損（--missing の既定）
+    assert.equal(byCode.get('99990')['20日前比(%)'], 'N/A');
+});
+
+test('--metrics に不明な種類・範囲外の日数を指定するとエラーにする', () => {
+    for (const spec of ['bogus:20', 'change:0', 'change:251', 'change']) {
+        const result = runCli([SAMPLE, '-p', 'local', '--price-file', PRICES, '--metrics', spec, '-o', tempFile('out.csv')]);
+        assert.equal(result.status, 1, spec);
+        assert.match(result.stderr, /--metrics/);
+    }
+});
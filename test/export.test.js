@@ -0,0 +1,77 @@
+// ============================================
+// 出力のテスト
+// ============================================
+//
+// fixtures/ の銘柄一覧と価格ファイル（local）で取得した結果を、選んだ列・欠損値の表記で出力できるか確かめる
+
+'use strict';
+
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const test = require('node:test');
+
+const core = require('../core.js');
+
+const FIXTURES = path.join(__dirname, '..', 'fixtures');
+
+let XLSX = null;
+try {
+    XLSX = require('xlsx');
+} catch {
+    // xlsx が入っていなければブック全体の確認は飛ばす
+}
+
+test.before(async () => {
+    const local = core.PRICE_PROVIDERS.local;
+    local.load(fs.readFileSync(path.join(FIXTURES, 'prices.csv'), 'utf8'), 'prices.csv');
+
+    const bytes = fs.readFileSync(path.join(FIXTURES, 'sample.csv'));
+    const source = core.readSourceBytes(new Uint8Array(bytes), 'sample.csv');
+    core.mergeFileData(core.parseKnownSource(source), source, { name: 'sample.csv', size: bytes.length });
+
+    const { schema, rows } = core.parsedData;
+    const scheduler = core.createFetchScheduler({ startIntervalMs: 0, retryBaseMs: 1 });
+    await core.fetchStockPrices(core.getUniqueStocks(rows, schema.codeCol, schema.defaultDateCol), schema.defaultDateCol, local, { scheduler });
+});
+
+/**
+ * 終値・銘柄略称・銘柄コードの順に並べ替え、他の列は外した設定
+ */
+function selectedSettings() {
+    const settings = { ...core.defaultExportSettings(), missing: '-' };
+    const order = ['price', 'name', 'code'];
+    const byId = new Map(settings.columns.map(c => [c.id, c]));
+    settings.columns = [
+        ...order.map(id => ({ ...byId.get(id), enabled: true })),
+        ...settings.columns.filter(c => !order.includes(c.id)).map(c => ({ ...c, enabled: false })),
+    ];
+    return settings;
+}
+
+function labelsOf(settings) {
+    const labels = new Map(core.getExportColumns().map(c => [c.id, c.label]));
+    return settings.columns.filter(c => c.enabled).map(c => labels.get(c.id));
+}
+
+test('Excel のデータシートは CSV と同じく選んだ列を選んだ順に出し、欠損は指定の表記にする', () => {
+    const settings = selectedSettings();
+    const cells = core.buildDataSheetCells(settings);
+    const values = cells.map(row => row.map(cell => cell.v));
+
+    assert.deepEqual(values[0], labelsOf(settings));
+    const csvLines = core.generateOutputCSV(settings).split('\r\n');
+    assert.deepEqual(values[0], csvLines[csvLines.length - values.length].split(','));
+
+    const byCode = new Map(values.slice(1).map(row => [row[2], row]));
+    assert.deepEqual(byCode.get('72030'), [2866, 'トヨタ', '72030']);
+    assert.equal(byCode.get('99990')[0], '-');
+});
+
+test('Excel ブックのデータシートの見出しも選んだ列の順になる', { skip: !XLSX && 'xlsx が入っていない' }, () => {
+    globalThis.XLSX = XLSX;
+    const settings = selectedSettings();
+    const sheet = core.buildWorkbook(settings).Sheets['データ'];
+    const [header] = XLSX.utils.sheet_to_json(sheet, { header: 1 });
+    assert.deepEqual(header, labelsOf(settings));
+});
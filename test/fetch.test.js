@@ -0,0 +1,148 @@
+// ============================================
+// 終値の取得とスケジューラーのテスト
+// ============================================
+//
+// fixtures/prices.csv を読んだ local プロバイダーを包んだテスト用のプロバイダーで、
+// 取得期間の共有・一時的なエラーの再試行・待ち時間と中止・レーン間のタスクの取り合い・
+// 失敗分の再取得を確かめる
+
+'use strict';
+
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const test = require('node:test');
+
+const core = require('../core.js');
+
+const FIXTURES = path.join(__dirname, '..', 'fixtures');
+
+// 72030・13010 は価格ファイルにあり、99990・13020・13030 はない
+const LIST = `基準日,(実質上)基準日,権利落日(普通取引),権利落日(その他の取引),銘柄コード,銘柄略称,市場,備考,更新フラグ
+2026/03/31,,2026/03/30,,72030,トヨタ,プライム,,
+2026/03/31,,2026/03/30,,13010,極洋,プライム,,
+2026/03/31,,2026/03/30,,99990,テスト,プライム,,
+2026/03/31,,2026/03/30,,13020,テスト2,プライム,,
+2026/03/31,,2026/03/30,,13030,テスト3,プライム,,
+`;
+
+const local = core.PRICE_PROVIDERS.local;
+local.load(fs.readFileSync(path.join(FIXTURES, 'prices.csv'), 'utf8'), 'prices.csv');
+
+const source = core.readSourceBytes(new TextEncoder().encode(LIST), 'list.csv');
+core.mergeFileData(core.parseKnownSource(source), source, { name: 'list.csv', size: LIST.length });
+const { schema, rows } = core.parsedData;
+const STOCKS = core.getUniqueStocks(rows, schema.codeCol, schema.defaultDateCol);
+
+/**
+ * 取得した期間と時刻を記録するプロバイダー（fail(ticker) が Error を返せばそれを投げる）
+ */
+function createTestProvider(fail = () => null) {
+    const calls = [];
+    const provider = {
+        id: 'test',
+        label: 'テスト',
+        cacheable: false,
+        splitAdjusted: false,
+        async fetchChart(ticker, startTs, endTs) {
+            calls.push({ ticker, startTs, endTs, at: Date.now() });
+            const err = fail(ticker);
+            if (err) throw err;
+            return local.fetchChart(ticker, startTs, endTs);
+        },
+    };
+    return { provider, calls };
+}
+
+function createScheduler(options = {}) {
+    return core.createFetchScheduler({ concurrency: 1, startIntervalMs: 0, retryBaseMs: 1, ...options });
+}
+
+function priceOf(code) {
+    return core.closingPrices[`${code}|2026/03/30`]?.price;
+}
+
+test('同じ日付の銘柄は同じ取得期間で1銘柄ずつ取得する', async () => {
+    const { provider, calls } = createTestProvider();
+    const outcome = await core.fetchStockPrices(STOCKS, schema.defaultDateCol, provider, { scheduler: createScheduler() });
+
+    assert.equal(outcome.cancelled, false);
+    assert.deepEqual(calls.map(c => c.ticker), ['7203.T', '1301.T', '9999.T', '1302.T', '1303.T']);
+    assert.equal(new Set(calls.map(c => `${c.startTs}-${c.endTs}`)).size, 1);
+
+    assert.equal(Object.keys(core.closingPrices).length, STOCKS.length);
+    assert.equal(priceOf('72030'), 2866);
+    assert.equal(priceOf('13010'), 4164);
+    assert.deepEqual(core.errorMessages.map(e => e.code).sort(), ['13020', '13030', '99990']);
+});
+
+test('一時的なエラーはその銘柄だけ再試行する', async () => {
+    let failures = 1;
+    const { provider, calls } = createTestProvider((ticker) => {
+        if (ticker === '7203.T' && failures-- > 0) return Object.assign(new Error('HTTP 503'), { status: 503 });
+        return null;
+    });
+    await core.fetchStockPrices(STOCKS, schema.defaultDateCol, provider, { scheduler: createScheduler() });
+
+    assert.deepEqual(calls.map(c => c.ticker).slice(0, 3), ['7203.T', '7203.T', '1301.T']);
+    assert.equal(calls.length, STOCKS.length + 1);
+    assert.equal(priceOf('72030'), 2866);
+    assert.equal(core.errorMessages.some(e => e.code === '72030'), false);
+});
+
+test('取得の開始間隔を守る', async () => {
+    const { provider, calls } = createTestProvider();
+    await core.fetchStockPrices(STOCKS, schema.defaultDateCol, provider, { scheduler: createScheduler({ startIntervalMs: 50 }) });
+
+    const gaps = calls.slice(1).map((c, i) => c.at - calls[i].at);
+    assert.equal(gaps.length, STOCKS.length - 1);
+    for (const gap of gaps) assert.ok(gap >= 40, `${gap}ms`);
+});
+
+test('中止したら残りの銘柄の取得を始めない', async () => {
+    const scheduler = createScheduler();
+    const { provider, calls } = createTestProvider(() => {
+        scheduler.cancel();
+        return null;
+    });
+    const outcome = await core.fetchStockPrices(STOCKS, schema.defaultDateCol, provider, { scheduler });
+
+    assert.equal(outcome.cancelled, true);
+    assert.equal(calls.length, 1);
+    assert.equal(Object.keys(core.closingPrices).length, 1);
+});
+
+test('同時実行数よりタスクが少なくても、空いたレーンが空のキューから取り出さない', async () => {
+    const scheduler = createScheduler({ concurrency: 4, startIntervalMs: 0 });
+    const tasks = Array.from({ length: 2 }, (_, i) => ({ id: i }));
+    const seen = [];
+    const outcome = await scheduler.run(tasks, async (task) => {
+        await new Promise(resolve => setTimeout(resolve, 5));
+        return { price: task.id, error: null };
+    }, (task) => seen.push(task.id));
+
+    assert.equal(outcome.completed, tasks.length);
+    assert.deepEqual(seen.sort((a, b) => a - b), tasks.map(t => t.id));
+});
+
+test('失敗分の再取得は日付列と権利落日の列が違っても権利落日で計算する', async () => {
+    let failing = true;
+    const { provider } = createTestProvider(() => failing ? Object.assign(new Error('HTTP 404'), { status: 404 }) : null);
+    // 基準日（2026/03/31）の終値を取り、権利落日（2026/03/30）の指標は権利落日の列から計算する
+    const recordDateCol = 0;
+    const stocks = core.getUniqueStocks(rows, schema.codeCol, recordDateCol).filter(s => s.rawCode === '72030');
+    await core.fetchStockPrices(stocks, recordDateCol, provider, { scheduler: createScheduler() });
+    assert.deepEqual(core.errorMessages.map(e => e.code), ['72030']);
+
+    failing = false;
+    const retry = core.getFailedStocks();
+    assert.deepEqual(retry.map(s => s.exDate), ['2026/03/30']);
+    await core.fetchStockPrices(retry, recordDateCol, provider, { merge: true, scheduler: createScheduler() });
+
+    const result = core.closingPrices['72030|2026/03/31'];
+    assert.equal(core.errorMessages.length, 0);
+    assert.equal(result.cumDate, '2026/03/27');
+    assert.equal(result.cumClose, 2963);
+    assert.equal(result.exChange, -3.27);
+    assert.equal(result.theoreticalPrice, 2913);
+});
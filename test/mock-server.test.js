@@ -0,0 +1,45 @@
+// ============================================
+// モックサーバーのテスト
+// ============================================
+//
+// fixtures/yahoo/ の chart API の応答を、要求の期間で切り出して返すかを確かめる
+
+'use strict';
+
+const assert = require('node:assert/strict');
+const path = require('node:path');
+const test = require('node:test');
+
+const { handleChartRequest, createMockServer } = require('../mock-server.js');
+
+const FIXTURE_DIR = path.join(__dirname, '..', 'fixtures', 'yahoo');
+const FIXTURE = require(path.join(FIXTURE_DIR, '7203.T.json')).chart.result[0];
+
+test('要求の期間だけを切り出して返し、フィクスチャのない銘柄は 404 にする', () => {
+    const period1 = FIXTURE.timestamp[10];
+    const period2 = FIXTURE.timestamp[19];
+    const url = new URL(`https://query1.finance.yahoo.com/v8/finance/chart/7203.T?period1=${period1}&period2=${period2}&interval=1d`);
+
+    const { status, body } = handleChartRequest(FIXTURE_DIR, url);
+    assert.equal(status, 200);
+    const result = body.chart.result[0];
+    assert.deepEqual(result.timestamp, FIXTURE.timestamp.slice(10, 20));
+    assert.deepEqual(result.indicators.quote[0].close, FIXTURE.indicators.quote[0].close.slice(10, 20));
+
+    const missing = handleChartRequest(FIXTURE_DIR, new URL('https://query1.finance.yahoo.com/v8/finance/chart/9999.T?period1=0&period2=1'));
+    assert.equal(missing.status, 404);
+    assert.equal(missing.body.chart.result, null);
+});
+
+test('CORS プロキシと同じ形式の要求にも応える', async (t) => {
+    t.mock.method(console, 'log', () => {});  // 要求ごとのログ
+    const server = createMockServer(FIXTURE_DIR);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => server.close());
+
+    const target = `https://query1.finance.yahoo.com/v8/finance/chart/7203.T?period1=${FIXTURE.timestamp[0]}&period2=${FIXTURE.timestamp[4]}`;
+    const res = await fetch(`http://127.0.0.1:${server.address().port}/?${encodeURIComponent(target)}`);
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get('access-control-allow-origin'), '*');
+    assert.equal((await res.json()).chart.result[0].timestamp.length, 5);
+});
@@ -0,0 +1,211 @@
+// ============================================
+// CORS プロキシのテスト
+// ============================================
+//
+// 取得先の許可リスト・キャッシュ・要求数の制限を確かめる（取得先への要求は置き換えて、外には接続しない）
+
+'use strict';
+
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const http = require('node:http');
+const os = require('node:os');
+const path = require('node:path');
+const test = require('node:test');
+
+const { findEndpoint, cacheTtlMs, writeCache, createRateLimiter, createProxyServer } = require('../proxy-server.js');
+
+test('許可リストの取得先だけを通す', () => {
+    const allowed = [
+        'https://query1.finance.yahoo.com/v8/finance/chart/7203.T?period1=0&period2=1',
+        'https://query2.finance.yahoo.com/v8/finance/chart/%5EN225',
+        'https://stooq.com/q/d/l/?s=7203.jp&i=d',
+    ];
+    for (const url of allowed) assert.ok(findEndpoint(new URL(url)), url);
+
+    const denied = [
+        'http://query1.finance.yahoo.com/v8/finance/chart/7203.T',       // https 以外
+        'https://query3.finance.yahoo.com/v8/finance/chart/7203.T',      // 別のホスト
+        'https://query1.finance.yahoo.com.example.com/v8/finance/chart/7203.T',
+        'https://query1.finance.yahoo.com/v8/finance/chart/7203.T/extra', // パスの後ろに続きがある
+        'https://query1.finance.yahoo.com/v10/finance/quoteSummary/7203.T',
+        'https://query1.finance.yahoo.com/v7/finance/spark?symbols=7203.T,1301.T',
+        'https://stooq.com/q/l/?s=7203.jp',
+        'https://example.com/?https://stooq.com/q/d/l/',
+    ];
+    for (const url of denied) assert.equal(findEndpoint(new URL(url)), null, url);
+});
+
+test('期間が確定済みの応答は長く、当日を含む応答は短くキャッシュする', () => {
+    const yahoo = (period2) => new URL(`https://query1.finance.yahoo.com/v8/finance/chart/7203.T?period1=0&period2=${period2}`);
+    const settled = yahoo(Math.floor(Date.now() / 1000) - 7 * 86400);
+    const recent = yahoo(Math.floor(Date.now() / 1000));
+    assert.ok(cacheTtlMs(findEndpoint(settled), settled) > cacheTtlMs(findEndpoint(recent), recent));
+
+    // 期間が分からなければ短い方
+    const noRange = new URL('https://stooq.com/q/d/l/?s=7203.jp&i=d');
+    assert.equal(cacheTtlMs(findEndpoint(noRange), noRange), cacheTtlMs(findEndpoint(recent), recent));
+
+    // 分割イベントを返さない取得先は、確定済みの期間でも Yahoo より短い
+    const stooq = new URL('https://stooq.com/q/d/l/?s=7203.jp&d1=20260101&d2=20260201&i=d');
+    assert.ok(cacheTtlMs(findEndpoint(stooq), stooq) < cacheTtlMs(findEndpoint(settled), settled));
+});
+
+test('クライアントごとに1分あたりの要求数を制限する', () => {
+    const check = createRateLimiter(2);
+    assert.equal(check('a'), 0);
+    assert.equal(check('a'), 0);
+    assert.ok(check('a') > 0);
+    assert.equal(check('b'), 0);
+});
+
+/**
+ * プロキシを空いているポートで起動する（テストの終わりに止めてキャッシュを消す）
+ * 取得先への要求は upstream(url) で置き換え、呼ばれた URL を upstreamCalls に残す
+ */
+async function startProxy(t, upstream = null, options = {}) {
+    t.mock.method(console, 'log', () => {});  // 要求ごとのログ
+    const upstreamCalls = [];
+    if (upstream) {
+        t.mock.method(globalThis, 'fetch', async (url) => {
+            upstreamCalls.push(url.href);
+            return upstream(url);
+        });
+    }
+
+    const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'kabuka-owarine-proxy-'));
+    const server = createProxyServer({ cacheDir, rateLimit: 100, upstreamInterval: 0, ...options });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => {
+        server.close();
+        fs.rmSync(cacheDir, { recursive: true, force: true });
+    });
+    return { port: server.address().port, cacheDir, upstreamCalls };
+}
+
+/**
+ * プロキシに要求する（fetch は取得先の置き換えに使うので http で送る）
+ * 戻り値: { status, headers, body }
+ */
+function request(port, target, method = 'GET') {
+    const reqPath = target === null ? '/' : `/?${encodeURIComponent(target)}`;
+    return new Promise((resolve, reject) => {
+        const req = http.request({ host: '127.0.0.1', port, path: reqPath, method, timeout: 5000 }, (res) => {
+            let body = '';
+            res.setEncoding('utf8');
+            res.on('data', chunk => { body += chunk; });
+            res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body }));
+        });
+        req.on('error', reject);
+        req.end();
+    });
+}
+
+function yahooUrl(ticker, period1, period2) {
+    return `https://query1.finance.yahoo.com/v8/finance/chart/${ticker}?period1=${period1}&period2=${period2}&interval=1d`;
+}
+
+function chartBody(splitDates = []) {
+    const splits = Object.fromEntries(splitDates.map(date => [date, { date, numerator: 2, denominator: 1 }]));
+    return JSON.stringify({ chart: { result: [{ timestamp: [], events: { splits } }], error: null } });
+}
+
+const jsonResponse = (body) => new Response(body, { status: 200, headers: { 'Content-Type': 'application/json' } });
+
+test('許可していない取得先・不正な要求には取得先に接続せずに応答する', async (t) => {
+    const { port, upstreamCalls } = await startProxy(t, () => jsonResponse('{}'));
+
+    assert.equal((await request(port, 'https://example.com/')).status, 403);
+    assert.equal((await request(port, 'http://stooq.com/q/d/l/?s=7203.jp')).status, 403);
+    assert.equal((await request(port, null)).status, 400);
+    assert.equal((await request(port, 'not a url')).status, 400);
+    assert.equal((await request(port, 'x', 'POST')).status, 405);
+
+    const preflight = await request(port, 'x', 'OPTIONS');
+    assert.equal(preflight.status, 204);
+    assert.equal(preflight.headers['access-control-allow-origin'], '*');
+    assert.deepEqual(upstreamCalls, []);
+});
+
+test('保存済みの応答は期限内ならそのまま返し、期限切れなら取り直して保存し直す', async (t) => {
+    const { port, cacheDir, upstreamCalls } = await startProxy(t, () => jsonResponse(chartBody()));
+    const now = Math.floor(Date.now() / 1000);
+    const fresh = yahooUrl('7203.T', now - 90 * 86400, now - 30 * 86400);
+    const expired = yahooUrl('1301.T', now - 90 * 86400, now - 30 * 86400);
+    const storedAt = Date.now() - 86400 * 1000;
+    writeCache(cacheDir, { url: fresh, status: 200, contentType: 'application/json', body: '{"cached":true}', storedAt, expiresAt: Date.now() + 3600 * 1000 });
+    writeCache(cacheDir, { url: expired, status: 200, contentType: 'application/json', body: '{"cached":true}', storedAt, expiresAt: Date.now() - 1000 });
+
+    const hit = await request(port, fresh);
+    assert.equal(hit.headers['x-proxy-cache'], 'HIT');
+    assert.equal(hit.body, '{"cached":true}');
+    assert.deepEqual(upstreamCalls, []);
+
+    const miss = await request(port, expired);
+    assert.equal(miss.headers['x-proxy-cache'], 'MISS');
+    assert.equal(miss.body, chartBody());
+    assert.deepEqual(upstreamCalls, [expired]);
+
+    // 取り直した応答は新しい期限で保存される
+    assert.equal((await request(port, expired)).headers['x-proxy-cache'], 'HIT');
+    assert.equal(upstreamCalls.length, 1);
+});
+
+test('同じ URL への同時の要求は取得先に1回だけ要求する', async (t) => {
+    let release;
+    const gate = new Promise(resolve => { release = resolve; });
+    const { port, upstreamCalls } = await startProxy(t, async () => {
+        await gate;
+        return jsonResponse(chartBody());
+    });
+    const now = Math.floor(Date.now() / 1000);
+    const url = yahooUrl('7203.T', now - 30 * 86400, now);
+
+    const pending = [request(port, url), request(port, url)];
+    // 2件目が届くまで取得先の応答を止めておく（先に応答するとキャッシュから返ってしまう）
+    while (upstreamCalls.length === 0) await new Promise(resolve => setTimeout(resolve, 5));
+    await new Promise(resolve => setTimeout(resolve, 100));
+    release();
+    const responses = await Promise.all(pending);
+
+    assert.equal(upstreamCalls.length, 1);
+    for (const res of responses) {
+        assert.equal(res.status, 200);
+        assert.equal(res.headers['x-proxy-cache'], 'MISS');
+        assert.equal(res.body, chartBody());
+    }
+});
+
+test('要求数の上限を超えたら 429 と Retry-After を返し、取得先には要求しない', async (t) => {
+    const { port, upstreamCalls } = await startProxy(t, () => jsonResponse(chartBody()), { rateLimit: 2 });
+    const now = Math.floor(Date.now() / 1000);
+    const urls = ['7203.T', '1301.T', '9984.T'].map(ticker => yahooUrl(ticker, now - 30 * 86400, now));
+
+    assert.equal((await request(port, urls[0])).status, 200);
+    assert.equal((await request(port, urls[1])).status, 200);
+    const limited = await request(port, urls[2]);
+    assert.equal(limited.status, 429);
+    assert.ok(Number(limited.headers['retry-after']) > 0);
+    assert.deepEqual(upstreamCalls, urls.slice(0, 2));
+});
+
+test('分割が見つかったら、それより前に保存した同じ銘柄の応答は使わない', async (t) => {
+    const now = Math.floor(Date.now() / 1000);
+    const { port, cacheDir, upstreamCalls } = await startProxy(t, (url) => jsonResponse(chartBody(url.searchParams.get('period2') > now - 86400 * 20 ? [now - 5 * 86400] : [])));
+
+    // 10日前に保存した確定済みの期間
+    const old = yahooUrl('7203.T', now - 90 * 86400, now - 30 * 86400);
+    const storedAt = Date.now() - 10 * 86400 * 1000;
+    writeCache(cacheDir, { url: old, status: 200, contentType: 'application/json', body: chartBody(), storedAt, expiresAt: Date.now() + 86400 * 1000 });
+    assert.equal((await request(port, old)).headers['x-proxy-cache'], 'HIT');
+
+    // 5日前の分割を含む応答を取得すると、分割前に保存した応答は取り直す
+    assert.equal((await request(port, yahooUrl('7203.T', now - 30 * 86400, now))).headers['x-proxy-cache'], 'MISS');
+    assert.equal((await request(port, old)).headers['x-proxy-cache'], 'MISS');
+    assert.equal(upstreamCalls.filter(u => u === old).length, 1);
+
+    // 別の銘柄には影響しない
+    const other = yahooUrl('1301.T', now - 90 * 86400, now - 30 * 86400);
+    writeCache(cacheDir, { url: other, status: 200, contentType: 'application/json', body: chartBody(), storedAt, expiresAt: Date.now() + 86400 * 1000 });
+    assert.equal((await request(port, other)).headers['x-proxy-cache'], 'HIT');
+});
@@ -0,0 +1,53 @@
+// ============================================
+// 記録・再生のテスト
+// ============================================
+//
+// fixtures/sample.bundle.json は fixtures/sample.csv の取得を mock-server.js 経由で記録したもの
+// 再生した出力が fixtures/sample.expected.csv と一致することを確かめる
+// 計算を変えて出力が変わる場合は、次のコマンドで期待値を作り直す
+//
+//   node cli.js fixtures/sample.csv --replay fixtures/sample.bundle.json -o fixtures/sample.expected.csv
+
+'use strict';
+
+const assert = require('node:assert/strict');
+const { spawnSync } = require('node:child_process');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const test = require('node:test');
+
+const ROOT = path.join(__dirname, '..');
+const FIXTURES = path.join(ROOT, 'fixtures');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'kabuka-owarine-'));
+test.after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+test('記録した応答を再生すると期待どおりの CSV を出力する', () => {
+    const out = path.join(tmpDir, 'replay.csv');
+    const result = spawnSync(process.execPath, [
+        path.join(ROOT, 'cli.js'), path.join(FIXTURES, 'sample.csv'),
+        '--replay', path.join(FIXTURES, 'sample.bundle.json'), '-o', out, '-q',
+    ], { cwd: ROOT, encoding: 'utf8', timeout: 60 * 1000 });
+    assert.equal(result.status, 0, result.stderr);
+
+    const expected = fs.readFileSync(path.join(FIXTURES, 'sample.expected.csv'), 'utf8');
+    assert.equal(fs.readFileSync(out, 'utf8'), expected);
+});
+
+test('記録にない要求は再生時にエラーとして結果に残す', () => {
+    const bundle = JSON.parse(fs.readFileSync(path.join(FIXTURES, 'sample.bundle.json'), 'utf8'));
+    bundle.responses = bundle.responses.filter(r => !r.url.includes('/7203.T'));
+    const bundleFile = path.join(tmpDir, 'partial.bundle.json');
+    fs.writeFileSync(bundleFile, JSON.stringify(bundle));
+
+    const out = path.join(tmpDir, 'partial.json');
+    const result = spawnSync(process.execPath, [
+        path.join(ROOT, 'cli.js'), path.join(FIXTURES, 'sample.csv'), '--replay', bundleFile, '-o', out,
+    ], { cwd: ROOT, encoding: 'utf8', timeout: 60 * 1000 });
+    assert.equal(result.status, 0, result.stderr);
+    assert.match(result.stderr, /72030 .*記録にない要求/);
+
+    const records = JSON.parse(fs.readFileSync(out, 'utf8'));
+    assert.equal(records.find(r => r['銘柄コード'] === '13010')['終値'], 4164);
+});